@@ -0,0 +1,71 @@
+// Permissions are "<resource>:<action>" strings.
+//
+// ROLE_PERMISSIONS come with the account role and apply to every resource.
+// RELATION_PERMISSIONS apply only to resources the user is related to:
+//   owner     - owns the venue (venue.owner_id)
+//   client    - made the booking
+//   applicant - submitted the owner application
+// plus every active venue staff role (venue.staff[].role). A new staff role
+// only needs an entry here, in STAFF_ROLES and in BOOKING_PARTIES.
+
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  owner: ['venue:create'],
+  user: [],
+};
+
+const RELATION_PERMISSIONS = {
+  owner: [
+    'venue:update',
+    'venue:delete',
+    'venue:manage_calendar',
+    'venue:manage_pricing',
+    'venue:manage_staff',
+    'venue:view_stats',
+    'image:manage',
+    'booking:list',
+    'booking:read',
+    'booking:change_status',
+    'payment:read',
+    'payment:record',
+    'payment:refund',
+    'payment:pay',
+  ],
+  // Takes bookings on the owner's behalf; cannot edit the venue, its
+  // prices or its staff
+  manager: [
+    'booking:list',
+    'booking:read',
+    'booking:change_status',
+    'payment:read',
+    'payment:record',
+  ],
+  client: [
+    'booking:read',
+    'booking:update',
+    'booking:delete',
+    'booking:change_status',
+    'payment:read',
+    'payment:pay',
+  ],
+  applicant: ['owner_application:read', 'owner_application:add_documents'],
+};
+
+// Roles a venue owner can give to staff of a single venue
+const STAFF_ROLES = ['manager'];
+
+// Which side of a booking a role or relation acts for in status
+// transitions (see TRANSITIONS in utils/bookingStatus)
+const BOOKING_PARTIES = {
+  admin: 'admin',
+  owner: 'owner',
+  manager: 'owner',
+  client: 'client',
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  RELATION_PERMISSIONS,
+  STAFF_ROLES,
+  BOOKING_PARTIES,
+};
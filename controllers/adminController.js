@@ -0,0 +1,248 @@
+const Venue = require('../models/venueModel');
+const VenueRevision = require('../models/venueRevisionModel');
+const Image = require('../models/imageModel');
+const OwnerApplication = require('../models/ownerApplicationModel');
+const { validationResult } = require('express-validator');
+const AppError = require('../utils/appError');
+const { VENUE_STATUS, REVIEWED_FIELDS } = require('../utils/venueStatus');
+const { can } = require('../utils/policy');
+const {
+  listLoginAttempts,
+  clearLoginAttempts,
+} = require('../utils/loginThrottle');
+
+// @desc    Get accounts and IPs with failed logins
+// @route   GET /api/admin/login-locks
+// @access  Private/Admin
+exports.getLoginLocks = async (req, res, next) => {
+  try {
+    let entries = await listLoginAttempts();
+
+    // ?locked=true keeps only the locked ones
+    if (req.query.locked === 'true') {
+      entries = entries.filter((entry) => entry.locked);
+    }
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Clear failed logins and any lock for an account or IP
+// @route   DELETE /api/admin/login-locks/:key
+// @access  Private/Admin
+exports.clearLoginLock = async (req, res, next) => {
+  try {
+    const cleared = await clearLoginAttempts(req.params.key);
+    if (!cleared) {
+      return next(
+        new AppError(`No failed logins recorded for ${req.params.key}`, 404)
+      );
+    }
+
+    res.json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const USER_FIELDS = 'firstname lastname username';
+
+// Everything the moderation queue and bulk actions know about each kind of
+// item. Decisions go through the same model methods as the single-item
+// endpoints, so the same rules apply.
+const MODERATION = {
+  venue: {
+    Model: Venue,
+    permission: 'venue:approve',
+    pending: { status: VENUE_STATUS.SUBMITTED },
+    // Hidden by default; needed for the submission time and decisions
+    select: '+moderation_history',
+    populate: [
+      { path: 'owner_id', select: USER_FIELDS },
+      { path: 'district_id', select: 'name' },
+    ],
+    submitter: (venue) => venue.owner_id,
+    // When the venue was last (re)submitted
+    submittedAt: (venue) => {
+      const last = venue.moderation_history
+        .filter((change) => change.to === VENUE_STATUS.SUBMITTED)
+        .pop();
+      return last ? last.changed_at : venue.createdAt;
+    },
+    approve: (venue, admin, reason) =>
+      venue.moderate(VENUE_STATUS.APPROVED, { user: admin, reason }),
+    reject: (venue, admin, reason) =>
+      venue.moderate(VENUE_STATUS.REJECTED, { user: admin, reason }),
+  },
+  revision: {
+    Model: VenueRevision,
+    permission: 'venue:approve',
+    pending: { status: 'pending' },
+    populate: [
+      { path: 'submitted_by', select: USER_FIELDS },
+      {
+        path: 'venue_id',
+        select: ['name', 'status', 'owner_id', ...REVIEWED_FIELDS].join(' '),
+      },
+    ],
+    submitter: (revision) => revision.submitted_by,
+    submittedAt: (revision) => revision.updatedAt,
+    // Field by field: the value when proposed, the live value and the proposal
+    diff: (revision) =>
+      Object.keys(revision.changes).map((field) => ({
+        field,
+        from: revision.previous[field],
+        current: revision.venue_id ? revision.venue_id.get(field) : undefined,
+        to: revision.changes[field],
+      })),
+    approve: (revision, admin, reason) => revision.approve(admin, reason),
+    reject: (revision, admin, reason) => revision.reject(admin, reason),
+  },
+  image: {
+    Model: Image,
+    permission: 'image:review',
+    pending: { status: 'pending' },
+    populate: [
+      {
+        path: 'venue_id',
+        select: 'name owner_id',
+        populate: { path: 'owner_id', select: USER_FIELDS },
+      },
+    ],
+    submitter: (image) => (image.venue_id ? image.venue_id.owner_id : null),
+    submittedAt: (image) => image.createdAt,
+    approve: (image, admin, reason) => image.review('approved', admin, reason),
+    reject: (image, admin, reason) => image.review('rejected', admin, reason),
+  },
+  owner_application: {
+    Model: OwnerApplication,
+    permission: 'owner_application:review',
+    pending: { status: 'pending' },
+    populate: [{ path: 'user_id', select: USER_FIELDS }],
+    submitter: (application) => application.user_id,
+    submittedAt: (application) => application.createdAt,
+    approve: (application, admin, reason) =>
+      application.decide('approved', admin, reason),
+    reject: (application, admin, reason) =>
+      application.decide('rejected', admin, reason),
+  },
+};
+
+const MODERATION_TYPES = Object.keys(MODERATION);
+
+// @desc    Get items waiting for review, oldest first
+// @route   GET /api/admin/moderation
+// @access  Private/Admin
+exports.getModerationQueue = async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const types = req.query.type
+      ? req.query.type.split(',').filter((type) => MODERATION[type])
+      : MODERATION_TYPES;
+    const now = Date.now();
+
+    const data = {};
+    const totals = {};
+
+    for (const type of types) {
+      const config = MODERATION[type];
+
+      // Only the queues the admin is allowed to work on
+      if (!can(req.user, config.permission)) continue;
+
+      const [items, total] = await Promise.all([
+        config.Model.find(config.pending)
+          .select(config.select || '')
+          .populate(config.populate)
+          .sort({ createdAt: 1 })
+          .limit(limit),
+        config.Model.countDocuments(config.pending),
+      ]);
+
+      totals[type] = total;
+      data[type] = items
+        .map((item) => {
+          const submittedAt = config.submittedAt(item);
+          return {
+            type,
+            id: item._id,
+            submitted_at: submittedAt,
+            age_hours: Math.floor((now - submittedAt) / MS_PER_HOUR),
+            submitter: config.submitter(item) || null,
+            diff: config.diff ? config.diff(item) : undefined,
+            item,
+          };
+        })
+        .sort((a, b) => a.submitted_at - b.submitted_at);
+    }
+
+    res.json({
+      success: true,
+      totals,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve or reject several items of one kind
+// @route   POST /api/admin/moderation/bulk
+// @access  Private/Admin
+exports.bulkModerate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, action, ids, reason } = req.body;
+    const config = MODERATION[type];
+
+    if (!can(req.user, config.permission)) {
+      return next(new AppError(`Not authorized to moderate ${type} items`, 403));
+    }
+
+    // Each item succeeds or fails on its own
+    const results = [];
+    for (const id of [...new Set(ids)]) {
+      try {
+        const item = await config.Model.findById(id).select(
+          config.select || ''
+        );
+        if (!item) {
+          throw new AppError(`${type} ${id} not found`, 404);
+        }
+
+        await config[action](item, req.user, reason);
+        results.push({ id, success: true });
+      } catch (error) {
+        results.push({
+          id,
+          success: false,
+          error: error.message,
+          statusCode: error.statusCode || 500,
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      succeeded: results.filter((result) => result.success).length,
+      failed: results.filter((result) => !result.success).length,
+      data: results,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,14 +1,24 @@
+const crypto = require('crypto');
 const User = require('../models/userModel');
-const jwt = require('jsonwebtoken');
+const PasswordResetToken = require('../models/passwordResetTokenModel');
 const { validationResult } = require('express-validator');
 const AppError = require('../utils/appError');
+const {
+  hashToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+} = require('../utils/tokens');
+const { sendOtp, verifyOtp } = require('../utils/otp');
+const { notifyUser } = require('../providers/notification');
+const {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require('../utils/loginThrottle');
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
-  });
-};
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000; // 30 minutes
 
 // @desc    Register new user
 // @route   POST /api/auth/register
@@ -20,7 +30,7 @@ exports.register = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { firstname, lastname, username, password, role } = req.body;
+    const { firstname, lastname, username, password } = req.body;
 
     // Check if user already exists
     const userExists = await User.findOne({ username });
@@ -28,13 +38,13 @@ exports.register = async (req, res, next) => {
       return next(new AppError('User already exists', 400));
     }
 
-    // Create new user
+    // Create new user. Owners and admins are never self-assigned.
     const user = await User.create({
       firstname,
       lastname,
       username,
       password,
-      role: role || 'user', // Default role is 'user'
+      role: 'user',
     });
 
     if (user) {
@@ -46,7 +56,7 @@ exports.register = async (req, res, next) => {
           lastname: user.lastname,
           username: user.username,
           role: user.role,
-          token: generateToken(user._id),
+          ...(await issueAuthTokens(user, req)),
         },
       });
     } else {
@@ -69,18 +79,21 @@ exports.login = async (req, res, next) => {
 
     const { username, password } = req.body;
 
+    // Refuse early while the account or this IP is waiting out failures
+    await assertLoginAllowed(req, username);
+
     // Check for user
     const user = await User.findOne({ username }).select('+password');
-    if (!user) {
-      return next(new AppError('Invalid credentials', 401));
-    }
 
-    // Check if password matches
-    const isMatch = await user.matchPassword(password);
+    // Check if password matches; unknown usernames count as failures too
+    const isMatch = user ? await user.matchPassword(password) : false;
     if (!isMatch) {
+      await recordLoginFailure(req, username);
       return next(new AppError('Invalid credentials', 401));
     }
 
+    await recordLoginSuccess(req, username);
+
     res.json({
       success: true,
       data: {
@@ -89,7 +102,7 @@ exports.login = async (req, res, next) => {
         lastname: user.lastname,
         username: user.username,
         role: user.role,
-        token: generateToken(user._id),
+        ...(await issueAuthTokens(user, req)),
       },
     });
   } catch (error) {
@@ -116,6 +129,8 @@ exports.getProfile = async (req, res, next) => {
         lastname: user.lastname,
         username: user.username,
         role: user.role,
+        phone: user.phone,
+        phone_verified: user.phone_verified,
       },
     });
   } catch (error) {
@@ -139,7 +154,7 @@ exports.updateProfile = async (req, res, next) => {
       return next(new AppError('User not found', 404));
     }
 
-    const { firstname, lastname, username, password } = req.body;
+    const { firstname, lastname, username } = req.body;
 
     if (firstname) user.firstname = firstname;
     if (lastname) user.lastname = lastname;
@@ -151,7 +166,6 @@ exports.updateProfile = async (req, res, next) => {
       }
       user.username = username;
     }
-    if (password) user.password = password;
 
     const updatedUser = await user.save();
 
@@ -168,4 +182,332 @@ exports.updateProfile = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { user, token, refresh_token } = await rotateRefreshToken(
+      req.body.refresh_token,
+      req
+    );
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        role: user.role,
+        token,
+        refresh_token,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Public
+exports.logout = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await revokeRefreshToken(req.body.refresh_token);
+
+    res.json({
+      success: true,
+      message: 'Logged out',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out of every session, including access tokens
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res, next) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $inc: { token_version: 1 } });
+    await revokeAllRefreshTokens(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Text a login code to a verified phone number
+// @route   POST /api/auth/otp/request
+// @access  Public
+exports.requestLoginOtp = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { phone } = req.body;
+
+    // Answer the same either way so phone numbers cannot be probed
+    const user = await User.findOne({
+      phone,
+      phone_verified_at: { $exists: true },
+    });
+    if (user) {
+      await sendOtp({ phone, purpose: 'login' });
+    }
+
+    res.json({
+      success: true,
+      message: 'If this number belongs to an account, a code has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log in with a phone number and one-time code
+// @route   POST /api/auth/otp/verify
+// @access  Public
+exports.verifyLoginOtp = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { phone, code } = req.body;
+
+    await verifyOtp({ phone, purpose: 'login', code });
+
+    const user = await User.findOne({
+      phone,
+      phone_verified_at: { $exists: true },
+    });
+    if (!user) {
+      return next(new AppError('Invalid credentials', 401));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        firstname: user.firstname,
+        lastname: user.lastname,
+        username: user.username,
+        role: user.role,
+        ...(await issueAuthTokens(user, req)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Text a code to verify a phone number for the current user
+// @route   POST /api/auth/phone
+// @access  Private
+exports.requestPhoneVerification = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { phone } = req.body;
+
+    const taken = await User.findOne({ phone, _id: { $ne: req.user._id } });
+    if (taken) {
+      return next(
+        new AppError('Phone number is already used by another account', 400)
+      );
+    }
+
+    await sendOtp({ phone, purpose: 'verify_phone', userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm the current user's phone number with a code
+// @route   POST /api/auth/phone/verify
+// @access  Private
+exports.verifyPhone = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { phone, code } = req.body;
+
+    const otp = await verifyOtp({ phone, purpose: 'verify_phone', code });
+    if (!otp.user_id || otp.user_id.toString() !== req.user.id) {
+      return next(new AppError('Invalid code', 400));
+    }
+
+    const user = await User.findById(req.user.id);
+    user.phone = phone;
+    user.phone_verified_at = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        phone: user.phone,
+        phone_verified: user.phone_verified,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change password after confirming the current one
+// @route   PUT /api/auth/password
+// @access  Private
+exports.changePassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { current_password, new_password } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!(await user.matchPassword(current_password))) {
+      return next(new AppError('Current password is incorrect', 401));
+    }
+
+    user.password = new_password;
+    await user.save();
+
+    // Every other session is signed out; this one gets fresh tokens
+    await revokeAllRefreshTokens(user._id);
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        ...(await issueAuthTokens(user, req)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a password reset token
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username } = req.body;
+    const user = await User.findOne({ username });
+
+    // Answer the same either way so accounts cannot be probed
+    if (user) {
+      const token = crypto.randomBytes(32).toString('hex');
+
+      await PasswordResetToken.create({
+        user_id: user._id,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MS),
+      });
+
+      const link = process.env.PASSWORD_RESET_URL
+        ? `${process.env.PASSWORD_RESET_URL}?token=${token}`
+        : token;
+
+      await notifyUser(user, {
+        subject: 'Password reset',
+        message: `Toyxona: use this to reset your password within 30 minutes: ${link}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account exists, password reset instructions have been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    // Use the token up atomically so it works only once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      {
+        token_hash: hashToken(token),
+        used_at: { $exists: false },
+        expires_at: { $gt: new Date() },
+      },
+      { used_at: new Date() }
+    );
+
+    if (!resetToken) {
+      return next(new AppError('Reset token is invalid or has expired', 400));
+    }
+
+    const user = await User.findById(resetToken.user_id);
+    if (!user) {
+      return next(new AppError('Reset token is invalid or has expired', 400));
+    }
+
+    user.password = password;
+    await user.save();
+
+    // Sign out every session and void any other outstanding reset tokens
+    await revokeAllRefreshTokens(user._id);
+    await PasswordResetToken.updateMany(
+      { user_id: user._id, used_at: { $exists: false } },
+      { used_at: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in again.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,21 +1,49 @@
 const Booking = require('../models/bookingModel');
+const Payment = require('../models/paymentModel');
 const Venue = require('../models/venueModel');
+const BookingLock = require('../models/bookingLockModel');
 const { validationResult } = require('express-validator');
 const AppError = require('../utils/appError');
+const paginate = require('../utils/paginate');
+const { resolveSlot } = require('../utils/timeSlots');
+const { findBlock } = require('../utils/availability');
+const { BOOKING_STATUS } = require('../utils/bookingStatus');
+const { runBookingRollover } = require('../jobs/bookingRollover');
+const { calculatePrice } = require('../utils/pricing');
+const { assertBookable } = require('../utils/bookingRules');
+const { paymentSummary } = require('../utils/payments');
+const { createInvoice } = require('../utils/onlinePayments');
+const { can, getBookingParties } = require('../utils/policy');
+
+// Bookings that never took effect and can be removed outright
+const DELETABLE_STATUSES = [BOOKING_STATUS.PENDING, BOOKING_STATUS.REJECTED];
 
 // @desc    Get all bookings
 // @route   GET /api/bookings
 // @access  Private/Admin
 exports.getBookings = async (req, res, next) => {
   try {
-    const bookings = await Booking.find({})
-      .populate('venue_id', 'name address capacity price_seat')
-      .populate('user_id', 'firstname lastname username');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.payment_status) {
+      filter.payment_status = req.query.payment_status;
+    }
+
+    const result = await paginate(req, Booking, filter, {
+      populate: [
+        { path: 'venue_id', select: 'name address capacity price_seat' },
+        { path: 'user_id', select: 'firstname lastname username' },
+      ],
+    });
 
     res.json({
       success: true,
-      count: bookings.length,
-      data: bookings,
+      ...result,
     });
   } catch (error) {
     next(error);
@@ -35,18 +63,12 @@ exports.getBookingById = async (req, res, next) => {
       return next(new AppError('Booking not found', 404));
     }
 
-    // Check if the user is authorized to view this booking
-    if (
-      booking.user_id._id.toString() !== req.user.id &&
-      req.user.role !== 'admin'
-    ) {
-      // Check if the user is the owner of the venue
-      const venue = await Venue.findById(booking.venue_id);
-      if (!venue || venue.owner_id.toString() !== req.user.id) {
-        return next(
-          new AppError('Not authorized to view this booking', 403)
-        );
-      }
+    // The client, the venue's owner and staff, or an admin
+    const venue = await Venue.findById(booking.venue_id._id).select('+staff');
+    if (!can(req.user, 'booking:read', { booking, venue })) {
+      return next(
+        new AppError('Not authorized to view this booking', 403)
+      );
     }
 
     res.json({
@@ -68,7 +90,15 @@ exports.createBooking = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { venue_id, reservation_date, guest_count, client_phone } = req.body;
+    const {
+      venue_id,
+      reservation_date,
+      slot,
+      guest_count,
+      client_phone,
+      extras,
+      pay_online,
+    } = req.body;
 
     // Check if venue exists
     const venue = await Venue.findById(venue_id);
@@ -76,46 +106,75 @@ exports.createBooking = async (req, res, next) => {
       return next(new AppError('Venue not found', 404));
     }
 
-    // Check if venue is approved
-    if (venue.status !== 'tasdiqlangan') {
-      return next(new AppError('Venue is not approved for bookings', 400));
-    }
-
-    // Check if guest count exceeds venue capacity
-    if (guest_count > venue.capacity) {
-      return next(
-        new AppError(
-          `Guest count exceeds venue capacity of ${venue.capacity}`,
-          400
-        )
-      );
-    }
-
-    // Check if the venue is already booked for that date
-    const existingBooking = await Booking.findOne({
-      venue_id,
-      reservation_date: new Date(reservation_date),
-    });
+    // The venue's day stays locked from the availability check until the
+    // booking is written, so two requests cannot take the same slot
+    const booking = await BookingLock.hold(
+      venue._id,
+      reservation_date,
+      async () => {
+        // Approval, capacity, blocked dates and slot conflicts
+        const timeSlot = await assertBookable(venue, {
+          reservation_date,
+          slot,
+          guest_count,
+        });
+
+        const priceSnapshot = calculatePrice(
+          venue,
+          reservation_date,
+          Number(guest_count),
+          extras
+        );
 
-    if (existingBooking) {
-      return next(
-        new AppError('Venue is already booked for this date', 400)
-      );
+        // Create booking
+        return Booking.create({
+          venue_id,
+          reservation_date,
+          slot_name: timeSlot.name,
+          start_time: timeSlot.start_time,
+          end_time: timeSlot.end_time,
+          guest_count,
+          client_phone:
+            client_phone ||
+            (req.user.phone_verified ? req.user.phone : undefined),
+          price_snapshot: priceSnapshot,
+          ...paymentSummary({
+            total: priceSnapshot.total,
+            deposit: priceSnapshot.deposit_due,
+          }),
+          user_id: req.user.id,
+          status: BOOKING_STATUS.PENDING,
+          status_history: [
+            {
+              to: BOOKING_STATUS.PENDING,
+              changed_by: req.user._id,
+              actor_role: 'client',
+            },
+          ],
+        });
+      }
+    );
+
+    // Open an invoice for the deposit so the client can pay right away.
+    // The booking is made either way; if the invoice fails the client is
+    // told why and can open one later with POST /api/bookings/:id/pay.
+    let payment;
+    let invoiceError;
+    if (pay_online && booking.total_amount > 0) {
+      try {
+        payment = await createInvoice(booking, req.user);
+      } catch (error) {
+        invoiceError = error.isOperational
+          ? error.message
+          : 'The invoice could not be opened, please try again';
+      }
     }
 
-    // Create booking
-    const booking = await Booking.create({
-      venue_id,
-      reservation_date,
-      guest_count,
-      client_phone,
-      user_id: req.user.id,
-      status: "endi bo'ladigan",
-    });
-
     res.status(201).json({
       success: true,
       data: booking,
+      payment,
+      invoice_error: invoiceError,
     });
   } catch (error) {
     next(error);
@@ -138,31 +197,84 @@ exports.updateBooking = async (req, res, next) => {
       return next(new AppError('Booking not found', 404));
     }
 
-    // Check ownership
-    if (booking.user_id.toString() !== req.user.id && req.user.role !== 'admin') {
+    const venue = await Venue.findById(booking.venue_id).select('+staff');
+
+    if (!can(req.user, 'booking:update', { booking, venue })) {
       return next(
         new AppError('Not authorized to update this booking', 403)
       );
     }
 
-    // If changing reservation date, check if the venue is available on that date
-    if (req.body.reservation_date && req.body.reservation_date !== booking.reservation_date.toISOString()) {
-      const existingBooking = await Booking.findOne({
-        venue_id: booking.venue_id,
-        reservation_date: new Date(req.body.reservation_date),
-        _id: { $ne: booking._id },
-      });
+    // Finished bookings are kept as they were
+    if (
+      ![BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED].includes(
+        booking.status
+      )
+    ) {
+      return next(
+        new AppError(`Cannot update a booking that is ${booking.status}`, 400)
+      );
+    }
+
+    // Only plain field values are taken from the body, never operators
+    Object.keys(req.body)
+      .filter((field) => field.startsWith('$'))
+      .forEach((field) => delete req.body[field]);
+
+    // Status changes go through PUT /api/bookings/:id/status
+    delete req.body.status;
+    delete req.body.status_history;
+
+    // Slot times always come from the venue, never from the request body
+    delete req.body.start_time;
+    delete req.body.end_time;
+
+    // If changing reservation date or slot, check the slot exists and the
+    // owner has not closed it
+    const moving = Boolean(req.body.reservation_date || req.body.slot);
+    const reservationDate =
+      req.body.reservation_date || booking.reservation_date;
+    let timeSlot;
+
+    if (moving) {
+      const slotName = req.body.slot || booking.slot_name;
+      timeSlot = resolveSlot(venue, slotName);
+      if (!timeSlot) {
+        return next(
+          new AppError(`Venue has no time slot named ${slotName}`, 400)
+        );
+      }
 
-      if (existingBooking) {
+      if (findBlock(venue, reservationDate, timeSlot)) {
         return next(
-          new AppError('Venue is already booked for this date', 400)
+          new AppError('Venue is not available for this date and time slot', 400)
         );
       }
+
+      req.body.slot_name = timeSlot.name;
+      req.body.start_time = timeSlot.start_time;
+      req.body.end_time = timeSlot.end_time;
+      delete req.body.slot;
+    }
+
+    // A confirmed booking moved to another date or slot waits for the
+    // venue to confirm it again
+    const reopened = moving && booking.status === BOOKING_STATUS.CONFIRMED;
+    if (reopened) {
+      req.body.status = BOOKING_STATUS.PENDING;
+      req.body.$push = {
+        status_history: {
+          from: BOOKING_STATUS.CONFIRMED,
+          to: BOOKING_STATUS.PENDING,
+          changed_by: req.user._id,
+          actor_role: getBookingParties(req.user, booking, venue)[0],
+          reason: 'Moved to another date or time slot',
+        },
+      };
     }
 
     // If changing guest count, check if it doesn't exceed venue capacity
     if (req.body.guest_count) {
-      const venue = await Venue.findById(booking.venue_id);
       if (req.body.guest_count > venue.capacity) {
         return next(
           new AppError(
@@ -173,13 +285,68 @@ exports.updateBooking = async (req, res, next) => {
       }
     }
 
+    // Money fields only change through pricing and payments
+    [
+      'price_snapshot',
+      'total_amount',
+      'deposit_required',
+      'amount_paid',
+      'balance',
+      'payment_status',
+    ].forEach((field) => delete req.body[field]);
+
+    // Re-price the booking when what was agreed on changes
+    if (req.body.reservation_date || req.body.guest_count || req.body.extras) {
+      const currentExtras = ((booking.price_snapshot || {}).items || [])
+        .filter((item) => item.type === 'extra')
+        .map((item) => item.label);
+
+      req.body.price_snapshot = calculatePrice(
+        venue,
+        req.body.reservation_date || booking.reservation_date,
+        Number(req.body.guest_count || booking.guest_count),
+        req.body.extras || currentExtras
+      );
+      req.body.total_amount = req.body.price_snapshot.total;
+      req.body.deposit_required = req.body.price_snapshot.deposit_due;
+    }
+
     // Update the booking
-    booking = await Booking.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    })
-      .populate('venue_id', 'name address capacity price_seat')
-      .populate('user_id', 'firstname lastname username');
+    const update = () =>
+      Booking.findByIdAndUpdate(req.params.id, req.body, {
+        new: true,
+        runValidators: true,
+      })
+        .populate('venue_id', 'name address capacity price_seat')
+        .populate('user_id', 'firstname lastname username');
+
+    // A move holds the new day's lock from the conflict check until the
+    // write, so no other booking can take the slot in between
+    booking = moving
+      ? await BookingLock.hold(booking.venue_id, reservationDate, async () => {
+          const existingBooking = await Booking.findConflict({
+            venue_id: booking.venue_id,
+            reservation_date: reservationDate,
+            slot: timeSlot,
+            excludeId: booking._id,
+          });
+
+          if (existingBooking) {
+            throw new AppError(
+              'Venue is already booked for this date and time slot',
+              400
+            );
+          }
+
+          return update();
+        })
+      : await update();
+
+    // Balance and payment status follow the new total. A reopened booking
+    // stays pending even if its deposit is already paid.
+    if (req.body.price_snapshot) {
+      await booking.syncPayments({ autoConfirm: !reopened });
+    }
 
     res.json({
       success: true,
@@ -201,16 +368,33 @@ exports.deleteBooking = async (req, res, next) => {
       return next(new AppError('Booking not found', 404));
     }
 
-    // Check ownership or admin status
-    if (
-      booking.user_id.toString() !== req.user.id &&
-      req.user.role !== 'admin'
-    ) {
+    if (!can(req.user, 'booking:delete', { booking })) {
       return next(
         new AppError('Not authorized to delete this booking', 403)
       );
     }
 
+    // Confirmed and finished bookings keep their history; they are
+    // cancelled through PUT /api/bookings/:id/status instead
+    if (!DELETABLE_STATUSES.includes(booking.status)) {
+      return next(
+        new AppError(
+          `Cannot delete a booking that is ${booking.status}, cancel it instead`,
+          400
+        )
+      );
+    }
+
+    // Payment records must not be left without their booking
+    if (await Payment.exists({ booking_id: booking._id })) {
+      return next(
+        new AppError(
+          'Cannot delete a booking with payments, cancel it instead',
+          400
+        )
+      );
+    }
+
     await booking.deleteOne();
 
     res.json({
@@ -227,14 +411,29 @@ exports.deleteBooking = async (req, res, next) => {
 // @access  Private
 exports.getUserBookings = async (req, res, next) => {
   try {
-    const bookings = await Booking.find({ user_id: req.user.id })
-      .populate('venue_id', 'name address capacity price_seat')
-      .sort({ reservation_date: -1 });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { user_id: req.user.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const result = await paginate(
+      req,
+      Booking,
+      filter,
+      {
+        populate: [
+          { path: 'venue_id', select: 'name address capacity price_seat' },
+        ],
+        sort: { reservation_date: -1 },
+      }
+    );
 
     res.json({
       success: true,
-      count: bookings.length,
-      data: bookings,
+      ...result,
     });
   } catch (error) {
     next(error);
@@ -243,35 +442,47 @@ exports.getUserBookings = async (req, res, next) => {
 
 // @desc    Get venue bookings
 // @route   GET /api/bookings/venue/:id
-// @access  Private/Owner or Admin
+// @access  Private/Owner, Staff or Admin
 exports.getVenueBookings = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const venueId = req.params.id;
     
     // Check if venue exists
-    const venue = await Venue.findById(venueId);
+    const venue = await Venue.findById(venueId).select('+staff');
     if (!venue) {
       return next(new AppError('Venue not found', 404));
     }
 
-    // Check ownership or admin status
-    if (
-      venue.owner_id.toString() !== req.user.id &&
-      req.user.role !== 'admin'
-    ) {
+    if (!can(req.user, 'booking:list', { venue })) {
       return next(
         new AppError('Not authorized to view bookings for this venue', 403)
       );
     }
 
-    const bookings = await Booking.find({ venue_id: venueId })
-      .populate('user_id', 'firstname lastname username')
-      .sort({ reservation_date: -1 });
+    const filter = { venue_id: venueId };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.payment_status) {
+      filter.payment_status = req.query.payment_status;
+    }
+
+    const result = await paginate(
+      req,
+      Booking,
+      filter,
+      {
+        populate: [{ path: 'user_id', select: 'firstname lastname username' }],
+        sort: { reservation_date: -1 },
+      }
+    );
 
     res.json({
       success: true,
-      count: bookings.length,
-      data: bookings,
+      ...result,
     });
   } catch (error) {
     next(error);
@@ -288,7 +499,7 @@ exports.changeBookingStatus = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     let booking = await Booking.findById(req.params.id);
 
@@ -296,27 +507,23 @@ exports.changeBookingStatus = async (req, res, next) => {
       return next(new AppError('Booking not found', 404));
     }
 
-    // Check if the user is an admin or the venue owner
-    const venue = await Venue.findById(booking.venue_id);
-    if (
-      req.user.role !== 'admin' &&
-      venue.owner_id.toString() !== req.user.id
-    ) {
+    // Which sides of the booking the user may act for
+    const venue = await Venue.findById(booking.venue_id).select('+staff');
+    const roles = getBookingParties(req.user, booking, venue);
+    if (roles.length === 0) {
       return next(
         new AppError('Not authorized to change booking status', 403)
       );
     }
 
-    booking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      {
-        new: true,
-        runValidators: true,
-      }
-    )
-      .populate('venue_id', 'name address capacity price_seat')
-      .populate('user_id', 'firstname lastname username');
+    // Rejects illegal transitions with a 400 or 403
+    booking.transitionTo(status, { user: req.user, roles, reason });
+    await booking.save();
+
+    booking = await booking.populate([
+      { path: 'venue_id', select: 'name address capacity price_seat' },
+      { path: 'user_id', select: 'firstname lastname username' },
+    ]);
 
     res.json({
       success: true,
@@ -325,4 +532,26 @@ exports.changeBookingStatus = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Roll past bookings over to their final status
+// @route   POST /api/bookings/rollover
+// @access  Private/Admin
+exports.rolloverBookings = async (req, res, next) => {
+  try {
+    const result = await runBookingRollover();
+
+    if (result.skipped) {
+      return next(
+        new AppError('Booking rollover is already running on another instance', 409)
+      );
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
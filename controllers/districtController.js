@@ -1,17 +1,19 @@
 const District = require('../models/districtModel');
+const Venue = require('../models/venueModel');
 const { validationResult } = require('express-validator');
 const AppError = require('../utils/appError');
+const paginate = require('../utils/paginate');
+const { VENUE_STATUS } = require('../utils/venueStatus');
 
 // @desc    Get all districts
 // @route   GET /api/districts
 // @access  Public
 exports.getDistricts = async (req, res, next) => {
   try {
-    const districts = await District.find({});
+    const result = await paginate(req, District, {}, { sort: { name: 1 } });
     res.json({
       success: true,
-      count: districts.length,
-      data: districts,
+      ...result,
     });
   } catch (error) {
     next(error);
@@ -144,16 +146,16 @@ exports.getDistrictVenues = async (req, res, next) => {
       return next(new AppError('District not found', 404));
     }
 
-    const venues = await district.populate({
-      path: 'venues',
-      match: { status: 'tasdiqlangan' },
-      populate: { path: 'images' },
-    });
+    const result = await paginate(
+      req,
+      Venue,
+      { district_id: district._id, status: VENUE_STATUS.APPROVED },
+      { populate: ['images'] }
+    );
 
     res.json({
       success: true,
-      count: venues.venues.length,
-      data: venues.venues,
+      ...result,
     });
   } catch (error) {
     next(error);
@@ -2,17 +2,25 @@ const Image = require('../models/imageModel');
 const Venue = require('../models/venueModel');
 const { validationResult } = require('express-validator');
 const AppError = require('../utils/appError');
+const paginate = require('../utils/paginate');
+const { can } = require('../utils/policy');
+const {
+  saveImages,
+  removeFiles,
+  imageKeys,
+} = require('../utils/mediaStore');
 
 // @desc    Get all images
 // @route   GET /api/images
 // @access  Private/Admin
 exports.getImages = async (req, res, next) => {
   try {
-    const images = await Image.find({}).populate('venue_id', 'name');
+    const result = await paginate(req, Image, {}, {
+      populate: [{ path: 'venue_id', select: 'name' }],
+    });
     res.json({
       success: true,
-      count: images.length,
-      data: images,
+      ...result,
     });
   } catch (error) {
     next(error);
@@ -52,29 +60,75 @@ exports.createImage = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { venue_id, image_url } = req.body;
+    const { venue_id, image_url, caption, alt_text } = req.body;
 
     // Check if venue exists
-    const venue = await Venue.findById(venue_id);
+    const venue = await Venue.findById(venue_id).select('+staff');
     if (!venue) {
       return next(new AppError('Venue not found', 404));
     }
 
-    // Check if user is the owner of the venue
-    if (venue.owner_id.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user may manage the venue's images
+    if (!can(req.user, 'image:manage', { venue })) {
       return next(
         new AppError('Not authorized to add images to this venue', 403)
       );
     }
 
+    // New images go to the end of the gallery; the venue's first shown
+    // image becomes its cover
+    const position = await Image.nextPosition(venue_id);
+
+    // Uploaded files are stored and served by us; an image_url alone
+    // links an external picture
+    if (req.files && req.files.length > 0) {
+      let stored = [];
+      let created = [];
+      try {
+        stored = await saveImages(req.files, 'venues');
+        // Built first so their ids are known even if the insert fails
+        // part way through
+        created = stored.map(
+          (image, index) =>
+            new Image({ venue_id, ...image, position: position + index })
+        );
+        await Image.insertMany(created);
+        await Image.ensureCover(venue_id);
+
+        const images = await Image.find({
+          _id: { $in: created.map((image) => image._id) },
+        }).sort({ position: 1 });
+
+        return res.status(201).json({
+          success: true,
+          count: images.length,
+          data: images,
+        });
+      } catch (error) {
+        // Leave neither documents nor stored files of this upload behind
+        if (created.length > 0) {
+          await Image.deleteMany({
+            _id: { $in: created.map((image) => image._id) },
+          });
+          await Image.ensureCover(venue_id);
+        }
+        await removeFiles(stored.flatMap(imageKeys));
+        throw error;
+      }
+    }
+
     const image = await Image.create({
       venue_id,
       image_url,
+      caption,
+      alt_text,
+      position,
     });
+    await Image.ensureCover(venue_id);
 
     res.status(201).json({
       success: true,
-      data: image,
+      data: await Image.findById(image._id),
     });
   } catch (error) {
     next(error);
@@ -91,7 +145,7 @@ exports.updateImage = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { image_url } = req.body;
+    const { image_url, caption, alt_text } = req.body;
 
     let image = await Image.findById(req.params.id);
 
@@ -99,23 +153,31 @@ exports.updateImage = async (req, res, next) => {
       return next(new AppError('Image not found', 404));
     }
 
-    // Check if user is the owner of the venue
-    const venue = await Venue.findById(image.venue_id);
-    if (venue.owner_id.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user may manage the venue's images
+    const venue = await Venue.findById(image.venue_id).select('+staff');
+    if (!can(req.user, 'image:manage', { venue })) {
       return next(
         new AppError('Not authorized to update this image', 403)
       );
     }
 
+    // An image pointed at a new URL no longer uses its stored files
+    const update = { image_url, caption, alt_text };
+    const replaced = image_url && image_url !== image.image_url;
+    const storedKeys = replaced ? imageKeys(image) : [];
+    if (replaced) update.$unset = { storage_key: 1, variants: 1 };
+
     image = await Image.findByIdAndUpdate(
       req.params.id,
-      { image_url },
+      update,
       {
         new: true,
         runValidators: true,
       }
     ).populate('venue_id', 'name');
 
+    await removeFiles(storedKeys);
+
     res.json({
       success: true,
       data: image,
@@ -136,15 +198,21 @@ exports.deleteImage = async (req, res, next) => {
       return next(new AppError('Image not found', 404));
     }
 
-    // Check if user is the owner of the venue
-    const venue = await Venue.findById(image.venue_id);
-    if (venue.owner_id.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user may manage the venue's images
+    const venue = await Venue.findById(image.venue_id).select('+staff');
+    if (!can(req.user, 'image:manage', { venue })) {
       return next(
         new AppError('Not authorized to delete this image', 403)
       );
     }
 
     await image.deleteOne();
+    await removeFiles(imageKeys(image));
+
+    // The next image in the gallery takes over as cover
+    if (image.is_cover) {
+      await Image.ensureCover(image.venue_id);
+    }
 
     res.json({
       success: true,
@@ -168,7 +236,54 @@ exports.getImagesByVenue = async (req, res, next) => {
       return next(new AppError('Venue not found', 404));
     }
 
-    const images = await Image.find({ venue_id: venueId });
+    // Images rejected in moderation are not shown
+    const result = await paginate(
+      req,
+      Image,
+      {
+        venue_id: venueId,
+        status: { $ne: 'rejected' },
+      },
+      { sort: { position: 1 } }
+    );
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set the gallery order of a venue's images
+// @route   PUT /api/images/venue/:id/order
+// @access  Private/Owner or Admin
+exports.reorderImages = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.findById(req.params.id).select('+staff');
+    if (!venue) {
+      return next(new AppError('Venue not found', 404));
+    }
+
+    // Check if user may manage the venue's images
+    if (!can(req.user, 'image:manage', { venue })) {
+      return next(
+        new AppError('Not authorized to reorder images of this venue', 403)
+      );
+    }
+
+    // Rejects lists that leave out or repeat an image
+    await Image.reorder(venue._id, req.body.image_ids);
+
+    const images = await Image.find({ venue_id: venue._id }).sort({
+      position: 1,
+    });
 
     res.json({
       success: true,
@@ -178,4 +293,70 @@ exports.getImagesByVenue = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Make an image its venue's cover
+// @route   PUT /api/images/:id/cover
+// @access  Private/Owner or Admin
+exports.setCoverImage = async (req, res, next) => {
+  try {
+    const image = await Image.findById(req.params.id);
+
+    if (!image) {
+      return next(new AppError('Image not found', 404));
+    }
+
+    // Check if user may manage the venue's images
+    const venue = await Venue.findById(image.venue_id).select('+staff');
+    if (!can(req.user, 'image:manage', { venue })) {
+      return next(
+        new AppError('Not authorized to change the cover of this venue', 403)
+      );
+    }
+
+    // Rejected images cannot be the cover
+    await image.makeCover();
+
+    res.json({
+      success: true,
+      data: image,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const reviewImage = (status) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const image = await Image.findById(req.params.id);
+
+    if (!image) {
+      return next(new AppError('Image not found', 404));
+    }
+
+    // Rejects images that were already reviewed
+    await image.review(status, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      data: image,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve an image
+// @route   PUT /api/images/:id/approve
+// @access  Private/Admin
+exports.approveImage = reviewImage('approved');
+
+// @desc    Reject an image and hide it
+// @route   PUT /api/images/:id/reject
+// @access  Private/Admin
+exports.rejectImage = reviewImage('rejected');
@@ -0,0 +1,244 @@
+const OwnerApplication = require('../models/ownerApplicationModel');
+const { validationResult } = require('express-validator');
+const AppError = require('../utils/appError');
+const paginate = require('../utils/paginate');
+const { can } = require('../utils/policy');
+const {
+  saveDocuments,
+  removeFiles,
+  signedUrl,
+} = require('../utils/mediaStore');
+
+const MAX_DOCUMENTS = 10;
+
+// The application as JSON with a short-lived link to each uploaded
+// document, since the files themselves are private
+const withDocumentLinks = async (application) => {
+  const data = application.toJSON();
+  data.document_files = await Promise.all(
+    (data.document_files || []).map(async (file) => ({
+      ...file,
+      url: await signedUrl(file.storage_key),
+    }))
+  );
+  return data;
+};
+
+// @desc    Apply to become a venue owner
+// @route   POST /api/owner-applications
+// @access  Private
+exports.createApplication = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.role !== 'user') {
+      return next(new AppError(`You are already an ${req.user.role}`, 400));
+    }
+
+    // Only one application can be under review at a time
+    const pending = await OwnerApplication.findOne({
+      user_id: req.user.id,
+      status: 'pending',
+    });
+    if (pending) {
+      return next(
+        new AppError('You already have an application under review', 400)
+      );
+    }
+
+    const { business_name, phone_number, message, documents } = req.body;
+
+    const application = await OwnerApplication.create({
+      user_id: req.user.id,
+      business_name,
+      phone_number,
+      message,
+      documents,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: application,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's applications
+// @route   GET /api/owner-applications/me
+// @access  Private
+exports.getMyApplications = async (req, res, next) => {
+  try {
+    const applications = await OwnerApplication.find({
+      user_id: req.user.id,
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: applications.length,
+      data: applications,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all owner applications
+// @route   GET /api/owner-applications
+// @access  Private/Admin
+exports.getApplications = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const result = await paginate(req, OwnerApplication, filter, {
+      populate: [{ path: 'user_id', select: 'firstname lastname username' }],
+      sort: { createdAt: 1 },
+    });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get owner application by ID
+// @route   GET /api/owner-applications/:id
+// @access  Private/Admin or applicant
+exports.getApplicationById = async (req, res, next) => {
+  try {
+    const application = await OwnerApplication.findById(req.params.id)
+      .populate('user_id', 'firstname lastname username')
+      .populate('reviewed_by', 'firstname lastname username');
+
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    if (!can(req.user, 'owner_application:read', { application })) {
+      return next(
+        new AppError('Not authorized to view this application', 403)
+      );
+    }
+
+    res.json({
+      success: true,
+      data: await withDocumentLinks(application),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload supporting documents to a pending application
+// @route   POST /api/owner-applications/:id/documents
+// @access  Private/Applicant
+exports.addDocuments = async (req, res, next) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return next(new AppError('Please upload at least one document', 400));
+    }
+
+    const application = await OwnerApplication.findById(req.params.id);
+
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    if (!can(req.user, 'owner_application:add_documents', { application })) {
+      return next(
+        new AppError('Not authorized to change this application', 403)
+      );
+    }
+
+    if (application.status !== 'pending') {
+      return next(
+        new AppError(`Application has already been ${application.status}`, 400)
+      );
+    }
+
+    if (application.document_files.length + files.length > MAX_DOCUMENTS) {
+      return next(
+        new AppError(`An application can have at most ${MAX_DOCUMENTS} documents`, 400)
+      );
+    }
+
+    const saved = await saveDocuments(
+      files,
+      `owner-applications/${application._id}`
+    );
+
+    // Checked again in the update, so a decision or another upload that
+    // landed meanwhile wins and these files are dropped
+    const updated = await OwnerApplication.findOneAndUpdate(
+      {
+        _id: application._id,
+        status: 'pending',
+        [`document_files.${MAX_DOCUMENTS - files.length}`]: { $exists: false },
+      },
+      { $push: { document_files: { $each: saved } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      await removeFiles(saved.map((file) => file.storage_key));
+      return next(
+        new AppError(
+          'Application is no longer pending or has too many documents',
+          400
+        )
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await withDocumentLinks(updated),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Shared by approve and reject
+const decideApplication = (status) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const application = await OwnerApplication.findById(req.params.id);
+
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    // Rejects applications that were already decided
+    await application.decide(status, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      data: application,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve an owner application
+// @route   PUT /api/owner-applications/:id/approve
+// @access  Private/Admin
+exports.approveApplication = decideApplication('approved');
+
+// @desc    Reject an owner application
+// @route   PUT /api/owner-applications/:id/reject
+// @access  Private/Admin
+exports.rejectApplication = decideApplication('rejected');
@@ -0,0 +1,265 @@
+const Payment = require('../models/paymentModel');
+const Booking = require('../models/bookingModel');
+const Venue = require('../models/venueModel');
+const { validationResult } = require('express-validator');
+const AppError = require('../utils/appError');
+const { PAYMENT_RECORD_STATUS } = require('../utils/payments');
+const { BOOKING_STATUS } = require('../utils/bookingStatus');
+const { createInvoice, processCallback } = require('../utils/onlinePayments');
+const fakeProvider = require('../providers/payment/fakeProvider');
+const { can } = require('../utils/policy');
+
+// Load a booking and check the current user has the payment permission on it
+const loadBooking = async (req, permission) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
+  }
+
+  const venue = await Venue.findById(booking.venue_id).select('+staff');
+  if (!can(req.user, permission, { booking, venue })) {
+    throw new AppError('Not authorized to manage payments for this booking', 403);
+  }
+
+  return booking;
+};
+
+// Cancelled and rejected bookings take no more money; what was paid on
+// them can only be refunded
+const assertAcceptsPayments = (booking) => {
+  if (
+    [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.REJECTED].includes(booking.status)
+  ) {
+    throw new AppError(
+      `Cannot take payments for a booking that is ${booking.status}`,
+      400
+    );
+  }
+};
+
+// @desc    Get booking payments
+// @route   GET /api/bookings/:id/payments
+// @access  Private
+exports.getBookingPayments = async (req, res, next) => {
+  try {
+    const booking = await loadBooking(req, 'payment:read');
+
+    const payments = await Payment.find({ booking_id: booking._id })
+      .populate('recorded_by', 'firstname lastname username')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: payments.length,
+      data: {
+        total_amount: booking.total_amount,
+        deposit_required: booking.deposit_required,
+        amount_paid: booking.amount_paid,
+        balance: booking.balance,
+        payment_status: booking.payment_status,
+        payments,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Record a payment for a booking
+// @route   POST /api/bookings/:id/payments
+// @access  Private/Owner, Staff or Admin
+exports.addPayment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let booking = await loadBooking(req, 'payment:record');
+    assertAcceptsPayments(booking);
+    const { amount, method, note } = req.body;
+
+    const payment = await Payment.create({
+      booking_id: booking._id,
+      type: 'payment',
+      method,
+      amount,
+      note,
+      recorded_by: req.user._id,
+    });
+
+    // Confirms a pending booking once the deposit is met
+    booking = await booking.syncPayments();
+
+    res.status(201).json({
+      success: true,
+      data: { payment, booking },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Refund all or part of a payment
+// @route   POST /api/bookings/:id/payments/:paymentId/refund
+// @access  Private/Owner, Staff or Admin
+exports.refundPayment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let booking = await loadBooking(req, 'payment:refund');
+
+    const payment = await Payment.findOne({
+      _id: req.params.paymentId,
+      booking_id: booking._id,
+      type: 'payment',
+      status: { $in: [PAYMENT_RECORD_STATUS.SUCCEEDED, null] },
+    });
+
+    if (!payment) {
+      return next(new AppError('Payment not found', 404));
+    }
+
+    const refundable = payment.amount - (payment.refunded_amount || 0);
+    const amount = req.body.amount || refundable;
+
+    // Reserve the amount on the payment in one conditional update, so
+    // concurrent refunds can never add up to more than was paid
+    const reserved =
+      amount > 0 &&
+      (await Payment.findOneAndUpdate(
+        {
+          _id: payment._id,
+          $expr: {
+            $lte: [
+              { $add: [{ $ifNull: ['$refunded_amount', 0] }, amount] },
+              '$amount',
+            ],
+          },
+        },
+        { $inc: { refunded_amount: amount } },
+        { new: true }
+      ));
+
+    if (!reserved) {
+      return next(
+        new AppError(`Refund amount must be between 1 and ${refundable}`, 400)
+      );
+    }
+
+    let refund;
+    try {
+      refund = await Payment.create({
+        booking_id: booking._id,
+        type: 'refund',
+        method: req.body.method || payment.method,
+        amount,
+        refund_of: payment._id,
+        note: req.body.note,
+        recorded_by: req.user._id,
+      });
+    } catch (error) {
+      // Give the reserved amount back when the refund was not recorded
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $inc: { refunded_amount: -amount } }
+      );
+      throw error;
+    }
+
+    booking = await booking.syncPayments();
+
+    res.status(201).json({
+      success: true,
+      data: { payment: refund, booking },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Open an online payment invoice for what is due on a booking
+// @route   POST /api/bookings/:id/pay
+// @access  Private
+exports.payBooking = async (req, res, next) => {
+  try {
+    const booking = await loadBooking(req, 'payment:pay');
+    assertAcceptsPayments(booking);
+
+    const payment = await createInvoice(booking, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Receive a payment provider callback
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signed by the provider)
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const { payment, duplicate } = await processCallback(
+      req.params.provider,
+      req.body,
+      req.headers
+    );
+
+    res.json({
+      success: true,
+      data: {
+        invoice_id: payment.provider_invoice_id,
+        status: payment.status,
+        duplicate,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Simulate a callback from the fake payment provider
+// @route   POST /api/payments/fake/:invoiceId/simulate
+// @access  Public (not available in production)
+exports.simulateFakePayment = async (req, res, next) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return next(new AppError('Not found', 404));
+    }
+
+    const payment = await Payment.findOne({
+      provider: fakeProvider.name,
+      provider_invoice_id: req.params.invoiceId,
+    });
+
+    if (!payment) {
+      return next(new AppError('Invoice not found', 404));
+    }
+
+    // Goes through the same verification as a real webhook delivery
+    const callback = fakeProvider.simulate(
+      payment.provider_invoice_id,
+      payment.amount,
+      req.body.outcome || 'success'
+    );
+    const result = await processCallback(fakeProvider.name, callback);
+
+    res.json({
+      success: true,
+      data: {
+        callback,
+        status: result.payment.status,
+        duplicate: result.duplicate,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
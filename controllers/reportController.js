@@ -0,0 +1,105 @@
+const { validationResult } = require('express-validator');
+const AppError = require('../utils/appError');
+const { REPORTS } = require('../utils/reports');
+const { closeRows, writeCsv, writeXlsx } = require('../utils/exporters');
+const { startOfDay } = require('../utils/dateUtils');
+
+// JSON is for a quick look in the admin panel; full data is exported
+const JSON_ROW_LIMIT = 1000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// @desc    Get the available reports
+// @route   GET /api/admin/reports
+// @access  Private/Admin
+exports.getReports = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: Object.entries(REPORTS).map(([name, report]) => ({
+        name,
+        title: report.title,
+        description: report.description,
+        columns: report.columns,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Run a report as JSON or download it as CSV or XLSX
+// @route   GET /api/admin/reports/:name
+// @access  Private/Admin
+exports.getReport = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.params;
+    const report = REPORTS[name];
+    if (!report) {
+      return next(new AppError(`Report ${name} not found`, 404));
+    }
+
+    const range = {
+      from: req.query.from ? startOfDay(req.query.from) : undefined,
+      to: req.query.to ? startOfDay(req.query.to) : undefined,
+    };
+    if (range.from && range.to && range.to < range.from) {
+      return next(new AppError("'to' must not be before 'from'", 400));
+    }
+
+    const format = req.query.format || 'json';
+    const rows = report.rows(range);
+
+    if (format === 'json') {
+      const data = [];
+      for await (const row of rows) {
+        if (data.length === JSON_ROW_LIMIT) {
+          await closeRows(rows);
+          return res.json({
+            success: true,
+            truncated: true,
+            count: data.length,
+            data,
+          });
+        }
+        data.push(row);
+      }
+
+      return res.json({
+        success: true,
+        truncated: false,
+        count: data.length,
+        data,
+      });
+    }
+
+    const period = [
+      range.from ? range.from.toISOString().slice(0, 10) : 'start',
+      range.to ? range.to.toISOString().slice(0, 10) : 'now',
+    ].join('_');
+
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.attachment(`${name}_${period}.${format}`);
+
+    if (format === 'csv') {
+      await writeCsv(res, report.columns, rows);
+    } else {
+      await writeXlsx(res, report.columns, rows, report.title);
+    }
+  } catch (error) {
+    // Once the download has started the status can no longer change, so
+    // cut the connection and let the client see an incomplete file
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
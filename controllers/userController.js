@@ -1,17 +1,17 @@
 const User = require('../models/userModel');
 const { validationResult } = require('express-validator');
 const AppError = require('../utils/appError');
+const paginate = require('../utils/paginate');
 
 // @desc    Get all users
 // @route   GET /api/users
 // @access  Private/Admin
 exports.getUsers = async (req, res, next) => {
   try {
-    const users = await User.find({});
+    const result = await paginate(req, User);
     res.json({
       success: true,
-      count: users.length,
-      data: users,
+      ...result,
     });
   } catch (error) {
     next(error);
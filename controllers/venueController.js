@@ -1,15 +1,111 @@
 const Venue = require("../models/venueModel");
 const Image = require("../models/imageModel");
+const Booking = require("../models/bookingModel");
+const VenueRevision = require("../models/venueRevisionModel");
+const User = require("../models/userModel");
 const { validationResult } = require("express-validator");
 const AppError = require("../utils/appError");
+const { BOOKING_STATUS, ACTIVE_STATUSES } = require("../utils/bookingStatus");
+const { calculatePrice } = require("../utils/pricing");
+const { assertBookable } = require("../utils/bookingRules");
+const paginate = require("../utils/paginate");
+const {
+  FULL_DAY_SLOT,
+  resolveSlot,
+  slotsOverlap,
+} = require("../utils/timeSlots");
+const {
+  startOfDay,
+  startOfMonth,
+  addDays,
+  dayRange,
+  MS_PER_DAY,
+} = require("../utils/dateUtils");
+const {
+  MAX_RANGE_DAYS,
+  findBlock,
+  buildAvailability,
+} = require("../utils/availability");
+const { can } = require("../utils/policy");
+const { VENUE_STATUS, REVIEWED_FIELDS } = require("../utils/venueStatus");
+const { notifyUser } = require("../providers/notification");
+const { buildVenueStats } = require("../utils/venueStats");
+const {
+  saveImages,
+  removeFiles,
+  imageKeys,
+} = require("../utils/mediaStore");
+
+// Ids of venues that cannot take the given slot on the given date, either
+// because an overlapping booking exists or the owner blocked it
+const findUnavailableVenueIds = async (date, slotName) => {
+  const bookings = await Booking.find({
+    reservation_date: dayRange(date),
+    status: { $in: ACTIVE_STATUSES },
+  })
+    .select("venue_id start_time end_time")
+    .lean();
+
+  const candidates = await Venue.find({
+    $or: [
+      { _id: { $in: bookings.map((booking) => booking.venue_id) } },
+      { "blocked_dates.date": dayRange(date) },
+    ],
+  }).select("time_slots blocked_dates.date blocked_dates.slot_name");
+
+  return candidates
+    .filter((venue) => {
+      const slot = resolveSlot(venue, slotName);
+      if (!slot || findBlock(venue, date, slot)) return true;
+
+      return bookings.some(
+        (booking) =>
+          booking.venue_id.equals(venue._id) && slotsOverlap(booking, slot)
+      );
+    })
+    .map((venue) => venue._id);
+};
+
+// Days covered by a stats request, both included. Defaults to the current
+// month; a given "from" without "to" runs to the end of that month.
+const getStatsRange = ({ from, to }) => {
+  const start = from ? startOfDay(from) : startOfMonth(new Date());
+  const end = to
+    ? startOfDay(to)
+    : addDays(startOfMonth(addDays(startOfMonth(start), 31)), -1);
+
+  if (end < start) {
+    throw new AppError("'to' must not be before 'from'", 400);
+  }
+
+  if ((end - start) / MS_PER_DAY >= MAX_RANGE_DAYS) {
+    throw new AppError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  return { start, end };
+};
 
 // @desc    Get all venues
 // @route   GET /api/venues
 // @access  Public
 exports.getVenues = async (req, res, next) => {
   try {
-    const { district, status, minCapacity, maxCapacity, minPrice, maxPrice } =
-      req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      district,
+      status,
+      minCapacity,
+      maxCapacity,
+      minPrice,
+      maxPrice,
+      date,
+      slot,
+      guests,
+    } = req.query;
 
     // Build filter object
     const filter = {};
@@ -26,15 +122,45 @@ exports.getVenues = async (req, res, next) => {
       filter.price_seat.$lte = Number(maxPrice);
     }
 
-    const venues = await Venue.find(filter)
-      .populate("district_id", "name")
-      .populate("owner_id", "firstname lastname username")
-      .populate("images");
+    // Venue must seat every guest
+    if (guests) {
+      filter.capacity = filter.capacity || {};
+      filter.capacity.$gte = Math.max(
+        Number(guests),
+        filter.capacity.$gte || 0
+      );
+    }
+
+    // Only approved venues that are free on the requested date and slot
+    if (date) {
+      filter.status = VENUE_STATUS.APPROVED;
+      if (slot && slot !== FULL_DAY_SLOT.name) {
+        filter["time_slots.name"] = slot;
+      }
+      filter._id = { $nin: await findUnavailableVenueIds(date, slot) };
+    }
+
+    const result = await paginate(req, Venue, filter, {
+      populate: [
+        { path: "district_id", select: "name" },
+        { path: "owner_id", select: "firstname lastname username" },
+        "cover_image",
+      ],
+    });
+
+    // Price the search with the venue's rules when the date is known
+    if (guests) {
+      result.data = result.data.map((venue) => ({
+        ...venue.toJSON(),
+        estimated_total: date
+          ? calculatePrice(venue, date, Number(guests)).total
+          : Number(guests) * venue.price_seat,
+      }));
+    }
 
     res.json({
       success: true,
-      count: venues.length,
-      data: venues,
+      ...result,
     });
   } catch (error) {
     next(error);
@@ -51,9 +177,12 @@ exports.getVenueById = async (req, res, next) => {
       .populate("owner_id", "firstname lastname username")
       .populate("images")
       .populate({
+        // Public: only when the venue is taken, nothing about the guests
         path: "bookings",
-        select: "reservation_date guest_count status",
-        match: { status: "endi bo'ladigan" },
+        select: "reservation_date slot_name start_time end_time -_id",
+        match: {
+          status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED] },
+        },
       });
 
     if (!venue) {
@@ -79,22 +208,38 @@ exports.createVenue = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Set owner to the current user
-    req.body.owner_id = req.user.id;
+    // New venues always start out waiting for review, without staff
+    ["status", "moderation_reason", "moderation_history", "staff"].forEach(
+      (field) => delete req.body[field]
+    );
 
     const venue = await Venue.create({ ...req.body, owner_id: req.user.id });
 
+    // Store the uploaded photos. If that fails, the venue and any files
+    // already stored are removed so the request leaves nothing behind.
     if (req.files && req.files.length > 0) {
-      const images = req.files.map((file) => ({
-        venue_id: venue._id,
-        path: file.filename, // or full path if needed
-      }));
-      await Image.insertMany(images);
+      let stored = [];
+      try {
+        stored = await saveImages(req.files, "venues");
+        await Image.insertMany(
+          stored.map((image, index) => ({
+            venue_id: venue._id,
+            ...image,
+            position: index,
+          }))
+        );
+        await Image.ensureCover(venue._id);
+      } catch (error) {
+        await removeFiles(stored.flatMap(imageKeys));
+        await Image.deleteMany({ venue_id: venue._id });
+        await venue.deleteOne();
+        throw error;
+      }
     }
 
     res.status(201).json({
       success: true,
-      data: venue,
+      data: await venue.populate("images"),
     });
   } catch (error) {
     next(error);
@@ -111,23 +256,38 @@ exports.updateVenue = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    let venue = await Venue.findById(req.params.id);
+    let venue = await Venue.findById(req.params.id).select("+staff");
 
     if (!venue) {
       return next(new AppError("Venue not found", 404));
     }
 
-    // Check ownership or admin status
-    if (
-      venue.owner_id.toString() !== req.user.id &&
-      req.user.role !== "admin"
-    ) {
+    if (!can(req.user, "venue:update", { venue })) {
       return next(new AppError("Not authorized to update this venue", 403));
     }
 
-    // Only admins can update status
-    if (req.body.status && req.user.role !== "admin") {
-      delete req.body.status;
+    // Status changes go through the moderation endpoints, staff through
+    // the staff endpoints
+    ["status", "moderation_reason", "moderation_history", "staff"].forEach(
+      (field) => delete req.body[field]
+    );
+
+    // An approved venue keeps its reviewed fields until an admin accepts
+    // the edit; the rest of the update goes live right away
+    let revision = null;
+    if (
+      venue.status === VENUE_STATUS.APPROVED &&
+      !can(req.user, "venue:approve")
+    ) {
+      const reviewed = {};
+      REVIEWED_FIELDS.filter((field) => field in req.body).forEach((field) => {
+        reviewed[field] = req.body[field];
+        delete req.body[field];
+      });
+
+      if (Object.keys(reviewed).length > 0) {
+        revision = await VenueRevision.propose(venue, reviewed, req.user);
+      }
     }
 
     // Update the venue
@@ -142,6 +302,7 @@ exports.updateVenue = async (req, res, next) => {
     res.json({
       success: true,
       data: venue,
+      revision,
     });
   } catch (error) {
     next(error);
@@ -153,22 +314,20 @@ exports.updateVenue = async (req, res, next) => {
 // @access  Private/Owner or Admin
 exports.deleteVenue = async (req, res, next) => {
   try {
-    const venue = await Venue.findById(req.params.id);
+    const venue = await Venue.findById(req.params.id).select("+staff");
 
     if (!venue) {
       return next(new AppError("Venue not found", 404));
     }
 
-    // Check ownership or admin status
-    if (
-      venue.owner_id.toString() !== req.user.id &&
-      req.user.role !== "admin"
-    ) {
+    if (!can(req.user, "venue:delete", { venue })) {
       return next(new AppError("Not authorized to delete this venue", 403));
     }
 
-    // Delete associated images
+    // Delete associated images and their stored files
+    const images = await Image.find({ venue_id: venue._id });
     await Image.deleteMany({ venue_id: venue._id });
+    await removeFiles(images.flatMap(imageKeys));
 
     // Delete the venue
     await venue.deleteOne();
@@ -187,46 +346,489 @@ exports.deleteVenue = async (req, res, next) => {
 // @access  Private
 exports.getVenuesByOwner = async (req, res, next) => {
   try {
-    const venues = await Venue.find({ owner_id: req.user.id })
-      .populate("district_id", "name")
-      .populate("images");
+    const result = await paginate(
+      req,
+      Venue,
+      { owner_id: req.user.id },
+      { populate: [{ path: "district_id", select: "name" }, "cover_image"] }
+    );
 
     res.json({
       success: true,
-      count: venues.length,
-      data: venues,
+      ...result,
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Approve venue (admin only)
-// @route   PUT /api/venues/:id/approve
-// @access  Private/Admin
-exports.approveVenue = async (req, res, next) => {
+// @desc    Get venues the user is staff of
+// @route   GET /api/venues/managed
+// @access  Private
+exports.getManagedVenues = async (req, res, next) => {
   try {
-    let venue = await Venue.findById(req.params.id);
+    // ?status=invited lists invitations still waiting to be accepted
+    const status = req.query.status === "invited" ? "invited" : "active";
+
+    const result = await paginate(
+      req,
+      Venue,
+      { staff: { $elemMatch: { user_id: req.user._id, status } } },
+      { populate: [{ path: "district_id", select: "name" }] }
+    );
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get booking stats across the user's own venues
+// @route   GET /api/venues/owner/stats
+// @access  Private
+exports.getOwnerVenueStats = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { start, end } = getStatsRange(req.query);
+
+    const venues = await Venue.find({ owner_id: req.user.id }).select("name");
+    const stats = await buildVenueStats(
+      venues.map((venue) => venue._id),
+      start,
+      end
+    );
+
+    const names = new Map(venues.map((venue) => [String(venue._id), venue.name]));
+    stats.by_venue = stats.by_venue.map((entry) => ({
+      name: names.get(String(entry.venue_id)),
+      ...entry,
+    }));
+
+    res.json({
+      success: true,
+      data: { venues: venues.length, ...stats },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get venue availability calendar
+// @route   GET /api/venues/:id/availability
+// @access  Public
+exports.getVenueAvailability = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.findById(req.params.id).select(
+      "time_slots blocked_dates.date blocked_dates.slot_name"
+    );
 
     if (!venue) {
       return next(new AppError("Venue not found", 404));
     }
 
-    venue = await Venue.findByIdAndUpdate(
-      req.params.id,
-      { status: "tasdiqlangan" },
-      {
-        new: true,
-        runValidators: true,
-      }
-    )
-      .populate("district_id", "name")
-      .populate("owner_id", "firstname lastname username")
-      .populate("images");
+    const from = startOfDay(req.query.from || new Date());
+    const to = req.query.to ? startOfDay(req.query.to) : addDays(from, 30);
+
+    if (to < from) {
+      return next(new AppError("'to' must not be before 'from'", 400));
+    }
+
+    if ((to - from) / MS_PER_DAY >= MAX_RANGE_DAYS) {
+      return next(
+        new AppError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`, 400)
+      );
+    }
+
+    const bookings = await Booking.find({
+      venue_id: venue._id,
+      reservation_date: { $gte: from, $lt: addDays(to, 1) },
+      status: { $in: ACTIVE_STATUSES },
+    }).select("reservation_date start_time end_time");
 
     res.json({
       success: true,
-      data: venue,
+      data: {
+        venue_id: venue._id,
+        from: from.toISOString().slice(0, 10),
+        to: to.toISOString().slice(0, 10),
+        days: buildAvailability(venue, bookings, from, to),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Block a date or time slot for a venue
+// @route   POST /api/venues/:id/blocked-dates
+// @access  Private/Owner or Admin
+exports.addBlockedDate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.findById(req.params.id).select(
+      "+staff +blocked_dates.reason"
+    );
+
+    if (!venue) {
+      return next(new AppError("Venue not found", 404));
+    }
+
+    if (!can(req.user, "venue:manage_calendar", { venue })) {
+      return next(new AppError("Not authorized to update this venue", 403));
+    }
+
+    const { date, slot_name, reason } = req.body;
+
+    if (slot_name && !resolveSlot(venue, slot_name)) {
+      return next(
+        new AppError(`Venue has no time slot named ${slot_name}`, 400)
+      );
+    }
+
+    venue.blocked_dates.push({ date: startOfDay(date), slot_name, reason });
+    await venue.save();
+
+    res.status(201).json({
+      success: true,
+      data: venue.blocked_dates,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a blocked date from a venue
+// @route   DELETE /api/venues/:id/blocked-dates/:blockId
+// @access  Private/Owner or Admin
+exports.removeBlockedDate = async (req, res, next) => {
+  try {
+    const venue = await Venue.findById(req.params.id).select(
+      "+staff +blocked_dates.reason"
+    );
+
+    if (!venue) {
+      return next(new AppError("Venue not found", 404));
+    }
+
+    if (!can(req.user, "venue:manage_calendar", { venue })) {
+      return next(new AppError("Not authorized to update this venue", 403));
+    }
+
+    const block = venue.blocked_dates.id(req.params.blockId);
+    if (!block) {
+      return next(new AppError("Blocked date not found", 404));
+    }
+
+    block.deleteOne();
+    await venue.save();
+
+    res.json({
+      success: true,
+      data: venue.blocked_dates,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update venue pricing rules
+// @route   PUT /api/venues/:id/pricing
+// @access  Private/Owner or Admin
+exports.updateVenuePricing = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.findById(req.params.id).select("+staff");
+
+    if (!venue) {
+      return next(new AppError("Venue not found", 404));
+    }
+
+    if (!can(req.user, "venue:manage_pricing", { venue })) {
+      return next(new AppError("Not authorized to update this venue", 403));
+    }
+
+    const {
+      weekday_multipliers,
+      seasons,
+      date_overrides,
+      min_guests,
+      extras,
+      discounts,
+      deposit_percent,
+    } = req.body;
+
+    if (weekday_multipliers !== undefined) {
+      venue.pricing.weekday_multipliers = weekday_multipliers;
+    }
+    if (seasons !== undefined) venue.pricing.seasons = seasons;
+    if (date_overrides !== undefined) {
+      venue.pricing.date_overrides = date_overrides;
+    }
+    if (min_guests !== undefined) venue.pricing.min_guests = min_guests;
+    if (extras !== undefined) venue.pricing.extras = extras;
+    if (discounts !== undefined) venue.pricing.discounts = discounts;
+    if (deposit_percent !== undefined) {
+      venue.pricing.deposit_percent = deposit_percent;
+    }
+
+    await venue.save();
+
+    res.json({
+      success: true,
+      data: venue.pricing,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Price a prospective booking without creating it
+// @route   POST /api/venues/:id/quote
+// @access  Public
+exports.getVenueQuote = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.findById(req.params.id);
+
+    if (!venue) {
+      return next(new AppError("Venue not found", 404));
+    }
+
+    const { reservation_date, slot, guest_count, extras } = req.body;
+
+    // Same checks as creating the booking
+    const timeSlot = await assertBookable(venue, {
+      reservation_date,
+      slot,
+      guest_count,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        venue_id: venue._id,
+        reservation_date: startOfDay(reservation_date),
+        slot: {
+          name: timeSlot.name,
+          start_time: timeSlot.start_time,
+          end_time: timeSlot.end_time,
+        },
+        ...calculatePrice(
+          venue,
+          reservation_date,
+          Number(guest_count),
+          extras
+        ),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get venue staff and pending invitations
+// @route   GET /api/venues/:id/staff
+// @access  Private/Owner or Admin
+exports.getVenueStaff = async (req, res, next) => {
+  try {
+    const venue = await Venue.findById(req.params.id)
+      .select("+staff")
+      .populate("staff.user_id", "firstname lastname username");
+
+    if (!venue) {
+      return next(new AppError("Venue not found", 404));
+    }
+
+    if (!can(req.user, "venue:manage_staff", { venue })) {
+      return next(new AppError("Not authorized to manage this venue's staff", 403));
+    }
+
+    res.json({
+      success: true,
+      data: venue.staff,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite a user to the venue staff
+// @route   POST /api/venues/:id/staff
+// @access  Private/Owner or Admin
+exports.inviteStaff = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.findById(req.params.id).select("+staff");
+
+    if (!venue) {
+      return next(new AppError("Venue not found", 404));
+    }
+
+    if (!can(req.user, "venue:manage_staff", { venue })) {
+      return next(new AppError("Not authorized to manage this venue's staff", 403));
+    }
+
+    const { username, role = "manager" } = req.body;
+
+    const user = await User.findOne({ username });
+    if (!user) {
+      return next(new AppError(`User ${username} not found`, 404));
+    }
+
+    if (venue.owner_id.equals(user._id)) {
+      return next(new AppError("The owner cannot be added as staff", 400));
+    }
+
+    const existing = venue.findStaff(user._id);
+    if (existing) {
+      return next(
+        new AppError(
+          existing.status === "active"
+            ? `${username} is already on the staff`
+            : `${username} has already been invited`,
+          400
+        )
+      );
+    }
+
+    venue.staff.push({ user_id: user._id, role, invited_by: req.user._id });
+    await venue.save();
+
+    await notifyUser(user, {
+      subject: "Staff invitation",
+      message: `Toyxona: you were invited as ${role} of ${venue.name}. Accept it in the app.`,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: venue.findStaff(user._id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept an invitation to the venue staff
+// @route   POST /api/venues/:id/staff/accept
+// @access  Private
+exports.acceptStaffInvite = async (req, res, next) => {
+  try {
+    const venue = await Venue.findById(req.params.id).select("+staff");
+
+    if (!venue) {
+      return next(new AppError("Venue not found", 404));
+    }
+
+    const member = venue.findStaff(req.user._id);
+    if (!member || member.status !== "invited") {
+      return next(new AppError("No pending invitation for this venue", 404));
+    }
+
+    member.status = "active";
+    member.accepted_at = new Date();
+    await venue.save();
+
+    res.json({
+      success: true,
+      data: member,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a staff member or invitation; members may also leave
+// @route   DELETE /api/venues/:id/staff/:userId
+// @access  Private/Owner, Admin or the member
+exports.removeStaff = async (req, res, next) => {
+  try {
+    const venue = await Venue.findById(req.params.id).select("+staff");
+
+    if (!venue) {
+      return next(new AppError("Venue not found", 404));
+    }
+
+    if (
+      req.params.userId !== req.user.id &&
+      !can(req.user, "venue:manage_staff", { venue })
+    ) {
+      return next(new AppError("Not authorized to manage this venue's staff", 403));
+    }
+
+    const member = venue.findStaff(req.params.userId);
+    if (!member) {
+      return next(new AppError("Staff member not found", 404));
+    }
+
+    member.deleteOne();
+    await venue.save();
+
+    res.json({
+      success: true,
+      data: venue.staff,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get booking stats of a venue
+// @route   GET /api/venues/:id/stats
+// @access  Private/Owner or Admin
+exports.getVenueStats = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.findById(req.params.id).select("+staff");
+
+    if (!venue) {
+      return next(new AppError("Venue not found", 404));
+    }
+
+    if (!can(req.user, "venue:view_stats", { venue })) {
+      return next(
+        new AppError("Not authorized to view stats for this venue", 403)
+      );
+    }
+
+    const { start, end } = getStatsRange(req.query);
+    const stats = await buildVenueStats([venue._id], start, end);
+    delete stats.by_venue;
+
+    res.json({
+      success: true,
+      data: { venue_id: venue._id, ...stats },
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,138 @@
+const Venue = require("../models/venueModel");
+const VenueRevision = require("../models/venueRevisionModel");
+const { validationResult } = require("express-validator");
+const AppError = require("../utils/appError");
+const { VENUE_STATUS } = require("../utils/venueStatus");
+const { can } = require("../utils/policy");
+
+// Move a venue to a moderation status; illegal moves are rejected by
+// venue.moderate. Resubmitting is the owner's move, the rest are admin moves.
+const moderateVenue = (status) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let venue = await Venue.findById(req.params.id).select(
+      "+staff +moderation_history"
+    );
+
+    if (!venue) {
+      return next(new AppError("Venue not found", 404));
+    }
+
+    if (
+      status === VENUE_STATUS.SUBMITTED &&
+      !can(req.user, "venue:update", { venue })
+    ) {
+      return next(new AppError("Not authorized to update this venue", 403));
+    }
+
+    venue = await venue.moderate(status, {
+      user: req.user,
+      reason: req.body.reason,
+    });
+
+    venue = await venue.populate([
+      { path: "district_id", select: "name" },
+      { path: "owner_id", select: "firstname lastname username" },
+      { path: "images" },
+    ]);
+
+    res.json({
+      success: true,
+      data: venue,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve venue
+// @route   PUT /api/venues/:id/approve
+// @access  Private/Admin
+exports.approveVenue = moderateVenue(VENUE_STATUS.APPROVED);
+
+// @desc    Reject venue with a reason
+// @route   PUT /api/venues/:id/reject
+// @access  Private/Admin
+exports.rejectVenue = moderateVenue(VENUE_STATUS.REJECTED);
+
+// @desc    Send venue back to the owner for changes
+// @route   PUT /api/venues/:id/request-changes
+// @access  Private/Admin
+exports.requestVenueChanges = moderateVenue(VENUE_STATUS.CHANGES_REQUESTED);
+
+// @desc    Resubmit a rejected or sent back venue for review
+// @route   PUT /api/venues/:id/resubmit
+// @access  Private/Owner or Admin
+exports.resubmitVenue = moderateVenue(VENUE_STATUS.SUBMITTED);
+
+// @desc    Get revisions proposed for a venue
+// @route   GET /api/venues/:id/revisions
+// @access  Private/Owner or Admin
+exports.getVenueRevisions = async (req, res, next) => {
+  try {
+    const venue = await Venue.findById(req.params.id).select("+staff");
+
+    if (!venue) {
+      return next(new AppError("Venue not found", 404));
+    }
+
+    if (!can(req.user, "venue:update", { venue })) {
+      return next(new AppError("Not authorized to view this venue's revisions", 403));
+    }
+
+    const revisions = await VenueRevision.find({ venue_id: venue._id })
+      .populate("submitted_by", "firstname lastname username")
+      .populate("reviewed_by", "firstname lastname username")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      data: revisions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const decideRevision = (decision) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revision = await VenueRevision.findOne({
+      _id: req.params.revisionId,
+      venue_id: req.params.id,
+    });
+
+    if (!revision) {
+      return next(new AppError("Revision not found", 404));
+    }
+
+    // Rejects revisions that were already decided
+    await revision[decision](req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      data: revision,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve a venue revision and apply it
+// @route   PUT /api/venues/:id/revisions/:revisionId/approve
+// @access  Private/Admin
+exports.approveRevision = decideRevision("approve");
+
+// @desc    Reject a venue revision
+// @route   PUT /api/venues/:id/revisions/:revisionId/reject
+// @access  Private/Admin
+exports.rejectRevision = decideRevision("reject");
@@ -0,0 +1,132 @@
+const Booking = require('../models/bookingModel');
+const AuditLog = require('../models/auditLogModel');
+const JobLock = require('../models/jobLockModel');
+const { startOfDay } = require('../utils/dateUtils');
+const { BOOKING_STATUS, assertTransition } = require('../utils/bookingStatus');
+
+const JOB_NAME = 'booking-rollover';
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const LOCK_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// What a booking becomes once its reservation date has passed
+const ROLLOVER = {
+  [BOOKING_STATUS.CONFIRMED]: {
+    to: BOOKING_STATUS.COMPLETED,
+    reason: 'Reservation date has passed',
+  },
+  [BOOKING_STATUS.PENDING]: {
+    to: BOOKING_STATUS.CANCELLED,
+    reason: 'Not confirmed before the reservation date',
+  },
+};
+
+// Move one booking, unless another instance got to it first. The audit
+// entry is written before the move and removed again if the move does not
+// happen, so a moved booking never ends up without one.
+const rollOverBooking = async ({ _id, status, reservation_date }) => {
+  const { to, reason } = ROLLOVER[status];
+  assertTransition(status, to, ['system'], reservation_date);
+
+  const entry = await AuditLog.create({
+    action: 'booking.status_rollover',
+    entity_type: 'Booking',
+    entity_id: _id,
+    meta: { from: status, to, reason },
+  });
+
+  let updated = null;
+  try {
+    updated = await Booking.findOneAndUpdate(
+      { _id, status },
+      {
+        $set: { status: to },
+        $push: {
+          status_history: {
+            from: status,
+            to,
+            actor_role: 'system',
+            reason,
+            changed_at: new Date(),
+          },
+        },
+      }
+    );
+  } finally {
+    if (!updated) await AuditLog.deleteOne({ _id: entry._id });
+  }
+
+  return Boolean(updated);
+};
+
+// Move every booking dated before today out of the pending and confirmed
+// states, in batches. A booking that cannot be moved is logged, counted and
+// skipped for the rest of the run. Only one instance runs it at a time; the
+// rest skip.
+const runBookingRollover = async ({ batchSize = 100 } = {}) => {
+  const acquired = await JobLock.acquire(JOB_NAME, LOCK_TTL_MS);
+  if (!acquired) {
+    return { skipped: true, updated: 0, failed: 0 };
+  }
+
+  try {
+    const today = startOfDay(new Date());
+    const failedIds = [];
+    let updated = 0;
+    let batch;
+    do {
+      batch = await Booking.find({
+        _id: { $nin: failedIds },
+        reservation_date: { $lt: today },
+        status: { $in: Object.keys(ROLLOVER) },
+      })
+        .select('status reservation_date')
+        .sort({ reservation_date: 1 })
+        .limit(batchSize)
+        .lean();
+
+      for (const booking of batch) {
+        try {
+          if (await rollOverBooking(booking)) updated += 1;
+        } catch (err) {
+          failedIds.push(booking._id);
+          console.error(`Booking rollover could not move ${booking._id}`, err);
+        }
+      }
+    } while (batch.length === batchSize);
+
+    return { skipped: false, updated, failed: failedIds.length };
+  } finally {
+    await JobLock.release(JOB_NAME);
+  }
+};
+
+// Run the rollover now and then on an interval.
+// BOOKING_ROLLOVER_INTERVAL_MS=0 turns the schedule off.
+const startBookingRolloverJob = () => {
+  const interval = Number(
+    process.env.BOOKING_ROLLOVER_INTERVAL_MS ?? DEFAULT_INTERVAL_MS
+  );
+  if (!interval) return null;
+
+  const run = () =>
+    runBookingRollover()
+      .then(({ skipped, updated, failed }) => {
+        if (!skipped && updated > 0) {
+          console.log(`Booking rollover moved ${updated} past bookings`);
+        }
+        if (failed > 0) {
+          console.error(`Booking rollover could not move ${failed} bookings`);
+        }
+      })
+      .catch((err) => console.error('Booking rollover failed', err));
+
+  run();
+  const timer = setInterval(run, interval);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runBookingRollover,
+  startBookingRolloverJob,
+};
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
 const AppError = require('../utils/appError');
+const { can } = require('../utils/policy');
 
 // Protect routes - require authentication
 exports.protect = async (req, res, next) => {
@@ -29,7 +30,8 @@ exports.protect = async (req, res, next) => {
       // Find user by id from decoded token
       const user = await User.findById(decoded.id);
 
-      if (!user) {
+      // Reject tokens issued before a logout-all, password or role change
+      if (!user || decoded.tv !== user.token_version) {
         return next(
           new AppError('Not authorized to access this route', 401)
         );
@@ -48,10 +50,11 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-exports.authorize = (...roles) => {
+// Grant access to users whose role has the permission on every resource.
+// Checks that depend on the resource are made in the controllers.
+exports.requirePermission = (permission) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!can(req.user, permission)) {
       return next(
         new AppError(
           `Role ${req.user.role} is not authorized to access this route`,
@@ -36,6 +36,11 @@ exports.errorHandler = (err, req, res, next) => {
     error = new AppError('Your token has expired. Please log in again.', 401);
   }
 
+  // Tell throttled clients when to come back
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || 'Server Error',
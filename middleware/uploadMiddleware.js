@@ -0,0 +1,85 @@
+const multer = require('multer');
+const AppError = require('../utils/appError');
+const {
+  IMAGE_MIME_TYPES,
+  DOCUMENT_MIME_TYPES,
+  detectImageType,
+  detectDocumentType,
+} = require('../utils/fileType');
+
+const MAX_FILE_SIZE =
+  Number(process.env.UPLOAD_MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10 MB
+const MAX_FILES = Number(process.env.UPLOAD_MAX_FILES) || 10;
+
+// Files stay in memory until they pass validation, so a rejected request
+// never writes anything to storage
+const createUpload = (mimeTypes, label) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: MAX_FILE_SIZE,
+      files: MAX_FILES,
+    },
+    fileFilter: (req, file, cb) => {
+      if (!mimeTypes.includes(file.mimetype)) {
+        return cb(
+          new AppError(`Only ${mimeTypes.join(', ')} ${label}s are allowed`, 400)
+        );
+      }
+      cb(null, true);
+    },
+  });
+
+const limitMessages = (label) => ({
+  LIMIT_FILE_SIZE: `Each ${label} must be at most ${MAX_FILE_SIZE / (1024 * 1024)} MB`,
+  LIMIT_FILE_COUNT: `At most ${MAX_FILES} ${label}s can be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field',
+});
+
+// Accept up to MAX_FILES files in the given multipart field as req.files.
+// Every file's content must really be one of the accepted types; detect
+// returns it and it is stored on the file under typeField.
+const receiveFiles = (upload, field, { label, detect, typeField }) => {
+  const receive = upload.array(field, MAX_FILES);
+  const messages = limitMessages(label);
+
+  return (req, res, next) => {
+    receive(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return next(new AppError(messages[error.code] || error.message, 400));
+      }
+      if (error) return next(error);
+
+      for (const file of req.files || []) {
+        file[typeField] = detect(file.buffer);
+        if (!file[typeField]) {
+          return next(
+            new AppError(`${file.originalname} is not a valid ${label}`, 400)
+          );
+        }
+      }
+
+      next();
+    });
+  };
+};
+
+const imageUpload = createUpload(IMAGE_MIME_TYPES, 'image');
+const documentUpload = createUpload(DOCUMENT_MIME_TYPES, 'document');
+
+// Venue photos; the detected type is stored as file.imageType
+exports.uploadImages = (field = 'images') =>
+  receiveFiles(imageUpload, field, {
+    label: 'image',
+    detect: detectImageType,
+    typeField: 'imageType',
+  });
+
+// PDFs or scans of supporting documents; the detected type is stored as
+// file.documentType
+exports.uploadDocuments = (field = 'documents') =>
+  receiveFiles(documentUpload, field, {
+    label: 'document',
+    detect: detectDocumentType,
+    typeField: 'documentType',
+  });
@@ -1,4 +1,20 @@
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
+const { TIME_PATTERN } = require('../utils/timeSlots');
+const { BOOKING_STATUS } = require('../utils/bookingStatus');
+const { MONTH_DAY_PATTERN } = require('../utils/pricing');
+const { PAYMENT_METHODS, PAYMENT_STATUS } = require('../utils/payments');
+const { normalizePhone } = require('../utils/phone');
+const { STAFF_ROLES } = require('../config/permissions');
+
+// Parse a JSON-encoded field, leaving anything else for the validators
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
 
 // User validation rules
 exports.validateUser = [
@@ -14,12 +30,44 @@ exports.validateUser = [
     .withMessage('Role must be admin, owner, or user'),
 ];
 
+// Registration validation rules. Everyone signs up as a plain user;
+// owners are approved through owner applications.
+exports.validateRegister = [
+  body('firstname', 'First name is required').notEmpty(),
+  body('lastname', 'Last name is required').notEmpty(),
+  body('username', 'Username is required').notEmpty(),
+  body('password', 'Password must be at least 6 characters').isLength({
+    min: 6,
+  }),
+];
+
 // Authentication validation rules
 exports.validateLogin = [
   body('username', 'Username is required').notEmpty(),
   body('password', 'Password is required').notEmpty(),
 ];
 
+// Refresh token validation rules
+exports.validateRefreshToken = [
+  body('refresh_token', 'Refresh token is required').notEmpty().isString(),
+];
+
+// Phone number validation rules
+exports.validatePhone = [
+  body('phone')
+    .customSanitizer(normalizePhone)
+    .notEmpty()
+    .withMessage('Phone must be a valid Uzbek number, e.g. +998901234567'),
+];
+
+// One-time code validation rules
+exports.validateOtp = [
+  ...exports.validatePhone,
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+];
+
 // Venue validation rules
 exports.validateVenue = [
   body('name', 'Name is required').notEmpty(),
@@ -32,10 +80,19 @@ exports.validateVenue = [
     .isFloat({ min: 0 })
     .notEmpty(),
   body('phone_number', 'Phone number is required').notEmpty(),
-  body('status')
+  body('time_slots')
     .optional()
-    .isIn(['tasdiqlangan', 'tasdiqlanmagan'])
-    .withMessage('Status must be tasdiqlangan or tasdiqlanmagan'),
+    // Multipart forms send the array as a JSON string
+    .customSanitizer(parseJsonField)
+    .isArray()
+    .withMessage('Time slots must be an array'),
+  body('time_slots.*.name', 'Time slot name is required').notEmpty(),
+  body('time_slots.*.start_time')
+    .matches(TIME_PATTERN)
+    .withMessage('Time slot start time must be in HH:mm format'),
+  body('time_slots.*.end_time')
+    .matches(TIME_PATTERN)
+    .withMessage('Time slot end time must be in HH:mm format'),
 ];
 
 // Booking validation rules
@@ -45,10 +102,228 @@ exports.validateBooking = [
     .notEmpty()
     .isISO8601()
     .withMessage('Reservation date must be a valid date'),
+  body('slot')
+    .optional()
+    .isString()
+    .withMessage('Time slot must be a string'),
   body('guest_count', 'Guest count must be a positive number')
     .isInt({ min: 1 })
     .notEmpty(),
-  body('client_phone', 'Client phone number is required').notEmpty(),
+  body('extras')
+    .optional()
+    .isArray()
+    .withMessage('Extras must be a list of extra names'),
+  // Defaults to the user's verified phone number
+  body('client_phone').optional().notEmpty(),
+  body('pay_online').optional().isBoolean(),
+];
+
+// Quote validation rules
+exports.validateQuote = [
+  body('reservation_date', 'Reservation date is required')
+    .notEmpty()
+    .isISO8601()
+    .withMessage('Reservation date must be a valid date'),
+  body('slot')
+    .optional()
+    .isString()
+    .withMessage('Time slot must be a string'),
+  body('guest_count', 'Guest count must be a positive number')
+    .isInt({ min: 1 })
+    .notEmpty(),
+  body('extras')
+    .optional()
+    .isArray()
+    .withMessage('Extras must be a list of extra names'),
+];
+
+// Staff invitation validation rules
+exports.validateStaffInvite = [
+  body('username', 'Username is required').notEmpty(),
+  body('role')
+    .optional()
+    .isIn(STAFF_ROLES)
+    .withMessage(`Role must be one of: ${STAFF_ROLES.join(', ')}`),
+];
+
+// Venue search query validation rules
+exports.validateVenueSearch = [
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  query('slot')
+    .optional()
+    .isString()
+    .withMessage('Time slot must be a string'),
+  query('guests')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Guests must be a positive number'),
+];
+
+// Availability query validation rules
+exports.validateAvailabilityQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+];
+
+// Blocked date validation rules
+exports.validateBlockedDate = [
+  body('date', 'Date is required')
+    .notEmpty()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body('slot_name').optional().isString(),
+  body('reason').optional().isString(),
+];
+
+// Venue pricing validation rules
+exports.validatePricing = [
+  body('weekday_multipliers')
+    .optional()
+    .isArray()
+    .withMessage('Weekday multipliers must be an array'),
+  body('weekday_multipliers.*.day', 'Weekday must be between 0 and 6').isInt({
+    min: 0,
+    max: 6,
+  }),
+  body('weekday_multipliers.*.multiplier', 'Multiplier must be positive')
+    .isFloat({ min: 0 }),
+  body('seasons')
+    .optional()
+    .isArray()
+    .withMessage('Seasons must be an array'),
+  body('seasons.*.name', 'Season name is required').notEmpty(),
+  body('seasons.*.start', 'Season start must be in MM-DD format')
+    .matches(MONTH_DAY_PATTERN),
+  body('seasons.*.end', 'Season end must be in MM-DD format')
+    .matches(MONTH_DAY_PATTERN),
+  body('seasons.*.multiplier', 'Multiplier must be positive')
+    .isFloat({ min: 0 }),
+  body('date_overrides')
+    .optional()
+    .isArray()
+    .withMessage('Date overrides must be an array'),
+  body('date_overrides.*.date', 'Override date must be a valid date')
+    .isISO8601(),
+  body('date_overrides.*.price_seat', 'Override price must be positive')
+    .isFloat({ min: 0 }),
+  body('min_guests', 'Minimum guests must be a positive number')
+    .optional()
+    .isInt({ min: 0 }),
+  body('extras')
+    .optional()
+    .isArray()
+    .withMessage('Extras must be an array'),
+  body('extras.*.name', 'Extra name is required').notEmpty(),
+  body('extras.*.price', 'Extra price must be positive').isFloat({ min: 0 }),
+  body('extras.*.per_guest').optional().isBoolean(),
+  body('discounts')
+    .optional()
+    .isArray()
+    .withMessage('Discounts must be an array'),
+  body('discounts.*.name', 'Discount name is required').notEmpty(),
+  body('discounts.*.min_guests', 'Discount minimum guests must be positive')
+    .isInt({ min: 1 }),
+  body('discounts.*.percent', 'Discount percent must be between 0 and 100')
+    .isFloat({ min: 0, max: 100 }),
+  body('deposit_percent', 'Deposit percent must be between 0 and 100')
+    .optional()
+    .isFloat({ min: 0, max: 100 }),
+];
+
+// Payment validation rules
+exports.validatePayment = [
+  body('amount', 'Amount must be a positive number').isInt({ min: 1 }),
+  body('method')
+    .notEmpty()
+    .withMessage('Payment method is required')
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('note').optional().isString(),
+];
+
+// Refund validation rules
+exports.validateRefund = [
+  body('amount', 'Amount must be a positive number')
+    .optional()
+    .isInt({ min: 1 }),
+  body('method')
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('note').optional().isString(),
+];
+
+// Owner application validation rules
+exports.validateOwnerApplication = [
+  body('business_name', 'Business name is required').notEmpty(),
+  body('phone_number', 'Phone number is required').notEmpty(),
+  body('message').optional().isString(),
+  body('documents')
+    .optional()
+    .isArray()
+    .withMessage('Documents must be a list of URLs'),
+  body('documents.*', 'Each document must be a valid URL').isURL(),
+];
+
+// Owner application decision validation rules
+exports.validateApplicationDecision = [
+  body('reason').optional().isString(),
+];
+
+exports.validateApplicationRejection = [
+  body('reason', 'A reason is required when rejecting').notEmpty().isString(),
+];
+
+// Venue moderation validation rules
+exports.validateModerationNote = [
+  body('reason').optional().isString(),
+];
+
+exports.validateModerationReason = [
+  body('reason', 'A reason is required').notEmpty().isString(),
+];
+
+// Bulk moderation validation rules
+exports.validateBulkModeration = [
+  body('type')
+    .isIn(['venue', 'revision', 'image', 'owner_application'])
+    .withMessage('Type must be venue, revision, image or owner_application'),
+  body('action')
+    .isIn(['approve', 'reject'])
+    .withMessage('Action must be approve or reject'),
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Ids must be an array of 1 to 100 items'),
+  body('ids.*', 'Each id must be a valid id').isMongoId(),
+  body('reason')
+    .if(body('action').equals('reject'))
+    .notEmpty()
+    .withMessage('A reason is required when rejecting'),
+];
+
+// Report validation rules
+exports.validateReportQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'xlsx'])
+    .withMessage('Format must be json, csv or xlsx'),
 ];
 
 // District validation rules
@@ -59,7 +334,44 @@ exports.validateDistrict = [
 // Image validation rules
 exports.validateImage = [
   body('venue_id', 'Venue ID is required').notEmpty(),
-  body('image_url', 'Image URL is required').notEmpty().isURL().withMessage('Must be a valid URL'),
+  // Not needed when image files were uploaded
+  body('image_url', 'Image URL or an uploaded image is required')
+    .if((value, { req }) => !(req.files && req.files.length > 0))
+    .notEmpty()
+    .bail()
+    .isURL()
+    .withMessage('Must be a valid URL'),
+  body('caption')
+    .optional()
+    .isString()
+    .isLength({ max: 300 })
+    .withMessage('Caption cannot be more than 300 characters'),
+  body('alt_text')
+    .optional()
+    .isString()
+    .isLength({ max: 300 })
+    .withMessage('Alt text cannot be more than 300 characters'),
+];
+
+exports.validateImageUpdate = [
+  body('image_url').optional().isURL().withMessage('Must be a valid URL'),
+  body('caption')
+    .optional()
+    .isString()
+    .isLength({ max: 300 })
+    .withMessage('Caption cannot be more than 300 characters'),
+  body('alt_text')
+    .optional()
+    .isString()
+    .isLength({ max: 300 })
+    .withMessage('Alt text cannot be more than 300 characters'),
+];
+
+exports.validateImageOrder = [
+  body('image_ids')
+    .isArray({ min: 1 })
+    .withMessage('Image ids must be a non-empty array'),
+  body('image_ids.*', 'Each image id must be a valid id').isMongoId(),
 ];
 
 // Booking status validation rules
@@ -67,8 +379,28 @@ exports.validateBookingStatus = [
   body('status')
     .notEmpty()
     .withMessage('Status is required')
-    .isIn(["bo'lib o'tgan", "endi bo'ladigan"])
-    .withMessage("Status must be bo'lib o'tgan or endi bo'ladigan"),
+    .isIn(Object.values(BOOKING_STATUS))
+    .withMessage(
+      `Status must be one of: ${Object.values(BOOKING_STATUS).join(', ')}`
+    ),
+  body('reason').optional().isString(),
+];
+
+// Booking list filters; anything but a known status is refused so query
+// objects cannot reach the database filter
+exports.validateBookingListQuery = [
+  query('status')
+    .optional()
+    .isIn(Object.values(BOOKING_STATUS))
+    .withMessage(
+      `Status must be one of: ${Object.values(BOOKING_STATUS).join(', ')}`
+    ),
+  query('payment_status')
+    .optional()
+    .isIn(Object.values(PAYMENT_STATUS))
+    .withMessage(
+      `Payment status must be one of: ${Object.values(PAYMENT_STATUS).join(', ')}`
+    ),
 ];
 
 // Profile update validation rules
@@ -77,7 +409,28 @@ exports.validateProfileUpdate = [
   body('lastname').optional(),
   body('username').optional(),
   body('password')
-    .optional()
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters'),
+    .not()
+    .exists()
+    .withMessage('Use PUT /api/auth/password to change the password'),
+];
+
+// Change password validation rules
+exports.validatePasswordChange = [
+  body('current_password', 'Current password is required').notEmpty(),
+  body('new_password', 'New password must be at least 6 characters').isLength({
+    min: 6,
+  }),
+];
+
+// Forgotten password validation rules
+exports.validateForgotPassword = [
+  body('username', 'Username is required').notEmpty(),
+];
+
+// Password reset validation rules
+exports.validatePasswordReset = [
+  body('token', 'Reset token is required').notEmpty().isString(),
+  body('password', 'Password must be at least 6 characters').isLength({
+    min: 6,
+  }),
 ];
\ No newline at end of file
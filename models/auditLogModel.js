@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: [true, 'Action is required'],
+    },
+    entity_type: {
+      type: String,
+      required: [true, 'Entity type is required'],
+    },
+    entity_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Entity is required'],
+    },
+    // Empty when the action was performed by a scheduled job
+    actor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for faster querying
+auditLogSchema.index({ entity_type: 1, entity_id: 1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AppError = require('../utils/appError');
+const { toDateKey } = require('../utils/availability');
+
+// Long enough for an availability check and one write
+const LOCK_TTL_MS = 15 * 1000;
+
+const bookingLockSchema = new mongoose.Schema(
+  {
+    // <venue id>:<YYYY-MM-DD>
+    _id: {
+      type: String,
+    },
+    token: {
+      type: String,
+    },
+    locked_until: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Leases left behind by a crashed request are cleaned up shortly after
+// they run out
+bookingLockSchema.index({ locked_until: 1 }, { expireAfterSeconds: 60 });
+
+const lockKey = (venueId, date) => `${venueId}:${toDateKey(date)}`;
+
+// Run fn while holding the lease on a venue's day, so checking a slot is
+// free and booking it cannot interleave with another booking for the same
+// venue and date. Rejects with a 409 while another request holds the day.
+bookingLockSchema.statics.hold = async function (venueId, date, fn) {
+  const key = lockKey(venueId, date);
+  const token = crypto.randomBytes(12).toString('hex');
+  const now = new Date();
+
+  try {
+    await this.findOneAndUpdate(
+      { _id: key, locked_until: { $lte: now } },
+      { token, locked_until: new Date(now.getTime() + LOCK_TTL_MS) },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The upsert collides with a live lease held by another request
+    if (error.code === 11000) {
+      throw new AppError(
+        'Another booking for this venue and date is in progress, please try again',
+        409
+      );
+    }
+    throw error;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await this.deleteOne({ _id: key, token });
+  }
+};
+
+const BookingLock = mongoose.model('BookingLock', bookingLockSchema);
+
+module.exports = BookingLock;
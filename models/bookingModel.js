@@ -1,4 +1,75 @@
 const mongoose = require('mongoose');
+const Payment = require('./paymentModel');
+const { FULL_DAY_SLOT, slotsOverlap } = require('../utils/timeSlots');
+const { dayRange } = require('../utils/dateUtils');
+const {
+  BOOKING_STATUS,
+  ACTIVE_STATUSES,
+  assertTransition,
+} = require('../utils/bookingStatus');
+const {
+  PAYMENT_STATUS,
+  PAYMENT_RECORD_STATUS,
+  paymentSummary,
+} = require('../utils/payments');
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: String,
+    to: {
+      type: String,
+      required: true,
+    },
+    // Empty when the change was made by a scheduled job
+    changed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    actor_role: String,
+    reason: String,
+    changed_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Price agreed at booking time, kept even if the venue's prices change later
+const priceSnapshotSchema = new mongoose.Schema(
+  {
+    base_price_seat: Number,
+    price_seat: Number,
+    guest_count: Number,
+    billable_guests: Number,
+    applied_rules: [
+      {
+        _id: false,
+        type: { type: String },
+        label: String,
+        multiplier: Number,
+        price_seat: Number,
+      },
+    ],
+    items: [
+      {
+        _id: false,
+        type: { type: String },
+        label: String,
+        quantity: Number,
+        unit_price: Number,
+        amount: Number,
+      },
+    ],
+    subtotal: Number,
+    discount_total: Number,
+    total: Number,
+    deposit_percent: Number,
+    deposit_due: Number,
+    calculated_at: Date,
+  },
+  { _id: false }
+);
 
 const bookingSchema = new mongoose.Schema(
   {
@@ -11,6 +82,18 @@ const bookingSchema = new mongoose.Schema(
       type: Date,
       required: [true, 'Reservation date is required'],
     },
+    slot_name: {
+      type: String,
+      default: FULL_DAY_SLOT.name,
+    },
+    start_time: {
+      type: String,
+      default: FULL_DAY_SLOT.start_time,
+    },
+    end_time: {
+      type: String,
+      default: FULL_DAY_SLOT.end_time,
+    },
     guest_count: {
       type: Number,
       required: [true, 'Guest count is required'],
@@ -27,8 +110,32 @@ const bookingSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["bo'lib o'tgan", "endi bo'ladigan"],
-      default: "endi bo'ladigan",
+      enum: Object.values(BOOKING_STATUS),
+      default: BOOKING_STATUS.PENDING,
+    },
+    status_history: [statusChangeSchema],
+    price_snapshot: priceSnapshotSchema,
+    // Money fields, kept in sync with the booking's payment records
+    total_amount: {
+      type: Number,
+      default: 0,
+    },
+    deposit_required: {
+      type: Number,
+      default: 0,
+    },
+    amount_paid: {
+      type: Number,
+      default: 0,
+    },
+    balance: {
+      type: Number,
+      default: 0,
+    },
+    payment_status: {
+      type: String,
+      enum: Object.values(PAYMENT_STATUS),
+      default: PAYMENT_STATUS.UNPAID,
     },
   },
   {
@@ -36,10 +143,107 @@ const bookingSchema = new mongoose.Schema(
   }
 );
 
+// Find a booking of the venue on the same day whose slot overlaps the given one
+bookingSchema.statics.findConflict = async function ({
+  venue_id,
+  reservation_date,
+  slot,
+  excludeId,
+}) {
+  const filter = {
+    venue_id,
+    reservation_date: dayRange(reservation_date),
+    status: { $in: ACTIVE_STATUSES },
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const bookings = await this.find(filter).select(
+    'reservation_date slot_name start_time end_time'
+  );
+
+  return bookings.find((booking) => slotsOverlap(booking, slot)) || null;
+};
+
+// Move the booking to a new status and record who did it. `roles` lists
+// how the actor relates to the booking (client, owner, admin or system).
+bookingSchema.methods.transitionTo = function (
+  status,
+  { user, roles, reason } = {}
+) {
+  const actorRole = assertTransition(
+    this.status,
+    status,
+    roles,
+    this.reservation_date
+  );
+
+  this.status_history.push({
+    from: this.status,
+    to: status,
+    changed_by: user ? user._id : undefined,
+    actor_role: actorRole,
+    reason,
+  });
+  this.status = status;
+
+  return this;
+};
+
+// Recalculate the money fields from the payment records and, unless
+// autoConfirm is off, confirm a pending booking once its deposit is paid
+bookingSchema.methods.syncPayments = async function ({
+  autoConfirm = true,
+} = {}) {
+  const [totals = { paid: 0, refunded: 0 }] = await Payment.aggregate([
+    // Records from before online payments have no status and count as paid
+    {
+      $match: {
+        booking_id: this._id,
+        status: { $in: [PAYMENT_RECORD_STATUS.SUCCEEDED, null] },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        paid: {
+          $sum: { $cond: [{ $eq: ['$type', 'payment'] }, '$amount', 0] },
+        },
+        refunded: {
+          $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] },
+        },
+      },
+    },
+  ]);
+
+  this.set(
+    paymentSummary({
+      total: this.total_amount,
+      deposit: this.deposit_required,
+      paid: totals.paid - totals.refunded,
+      refunded: totals.refunded,
+    })
+  );
+
+  if (
+    autoConfirm &&
+    this.status === BOOKING_STATUS.PENDING &&
+    this.amount_paid > 0 &&
+    this.amount_paid >= this.deposit_required
+  ) {
+    this.transitionTo(BOOKING_STATUS.CONFIRMED, {
+      roles: ['system'],
+      reason: 'Deposit received',
+    });
+  }
+
+  return this.save();
+};
+
 // Create indexes for faster querying
-bookingSchema.index({ venue_id: 1, reservation_date: 1 }, { unique: true });
+bookingSchema.index({ venue_id: 1, reservation_date: 1 });
 bookingSchema.index({ user_id: 1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ venue_id: 1, payment_status: 1 });
 
 const Booking = mongoose.model('Booking', bookingSchema);
 
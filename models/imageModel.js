@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const AppError = require('../utils/appError');
+const decidePending = require('../utils/decidePending');
+
+const IMAGE_REVIEW_STATUS = ['pending', 'approved', 'rejected'];
+
+// One processed file of an uploaded photo
+const variantFileSchema = new mongoose.Schema(
+  {
+    url: String,
+    storage_key: String,
+    width: Number,
+    height: Number,
+    bytes: Number,
+  },
+  { _id: false }
+);
+
+// The same size encoded in each output format
+const variantFormatsSchema = new mongoose.Schema(
+  {
+    webp: variantFileSchema,
+    avif: variantFileSchema,
+  },
+  { _id: false }
+);
 
 const imageSchema = new mongoose.Schema(
   {
@@ -11,14 +36,187 @@ const imageSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Image URL is required'],
     },
+    // Location of uploaded files in storage; empty for external URLs
+    storage_key: {
+      type: String,
+    },
+    // Resized copies of uploaded photos, e.g. variants.card.avif.url;
+    // external URLs have none
+    variants: {
+      thumbnail: variantFormatsSchema,
+      card: variantFormatsSchema,
+      full: variantFormatsSchema,
+    },
+    // Gallery order within the venue, lowest first
+    position: {
+      type: Number,
+      default: 0,
+    },
+    // The picture shown for the venue in lists; one per venue
+    is_cover: {
+      type: Boolean,
+      default: false,
+    },
+    caption: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Caption cannot be more than 300 characters'],
+    },
+    alt_text: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Alt text cannot be more than 300 characters'],
+    },
+    // New images are shown right away; rejected ones are hidden
+    status: {
+      type: String,
+      enum: IMAGE_REVIEW_STATUS,
+      default: 'pending',
+    },
+    reviewed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewed_at: {
+      type: Date,
+    },
+    rejection_reason: {
+      type: String,
+      trim: true,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Record an admin's review. Rejects with a 400 if already reviewed.
+imageSchema.methods.review = async function (status, admin, reason) {
+  if (this.status !== 'pending') {
+    throw new AppError(`Image has already been ${this.status}`, 400);
+  }
+
+  const update = {
+    status,
+    reviewed_by: admin._id,
+    reviewed_at: new Date(),
+  };
+
+  // A hidden image cannot stay the cover; the next one takes its place
+  if (status === 'rejected') {
+    update.rejection_reason = reason;
+    update.is_cover = false;
+  }
+
+  // Only the first of concurrent reviews goes through
+  await decidePending(this, 'Image', update);
+  if (status === 'rejected') await this.constructor.ensureCover(this.venue_id);
+
+  return this;
+};
+
+// Make the image its venue's cover, replacing the current one. Without a
+// transaction this takes two writes, so of two covers set at once the
+// unique index lets one through and the other gets a 409.
+imageSchema.methods.makeCover = async function () {
+  if (this.status === 'rejected') {
+    throw new AppError('A rejected image cannot be the cover', 400);
+  }
+
+  const Image = this.constructor;
+  await Image.updateMany(
+    { venue_id: this.venue_id, is_cover: true, _id: { $ne: this._id } },
+    { is_cover: false }
+  );
+
+  let cover;
+  try {
+    cover = await Image.findOneAndUpdate(
+      { _id: this._id, status: { $ne: 'rejected' } },
+      { is_cover: true },
+      { new: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    throw new AppError(
+      'The cover of this venue is being changed, please try again',
+      409
+    );
+  }
+
+  if (!cover) {
+    // Rejected or removed meanwhile; the venue still needs a cover
+    await Image.ensureCover(this.venue_id);
+    throw new AppError('A rejected image cannot be the cover', 400);
+  }
+
+  this.init(cover.toObject());
+  return this;
+};
+
+// Position after the venue's last image
+imageSchema.statics.nextPosition = async function (venueId) {
+  const last = await this.findOne({ venue_id: venueId })
+    .sort({ position: -1 })
+    .select('position');
+
+  return last ? last.position + 1 : 0;
+};
+
+// Give a venue without a cover one: its first shown image
+imageSchema.statics.ensureCover = async function (venueId) {
+  if (await this.exists({ venue_id: venueId, is_cover: true })) return;
+
+  const first = await this.findOne({
+    venue_id: venueId,
+    status: { $ne: 'rejected' },
+  }).sort({ position: 1, _id: 1 });
+  if (!first) return;
+
+  try {
+    await this.updateOne({ _id: first._id }, { is_cover: true });
+  } catch (error) {
+    // Another request picked a cover in the meantime
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Set the gallery order of a venue's images. The ids must list every image
+// of the venue exactly once.
+imageSchema.statics.reorder = async function (venueId, ids) {
+  const images = await this.find({ venue_id: venueId }).select('_id');
+  const current = new Set(images.map((image) => image._id.toString()));
+  const given = new Set(ids.map(String));
+
+  if (
+    given.size !== ids.length ||
+    given.size !== current.size ||
+    [...given].some((id) => !current.has(id))
+  ) {
+    throw new AppError(
+      'Image order must list every image of the venue exactly once',
+      400
+    );
+  }
+
+  await this.bulkWrite(
+    ids.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, venue_id: venueId },
+        update: { position: index },
+      },
+    }))
+  );
+};
+
 // Create index for faster querying
-imageSchema.index({ venue_id: 1 });
+imageSchema.index({ venue_id: 1, position: 1 });
+// At most one cover per venue
+imageSchema.index(
+  { venue_id: 1, is_cover: 1 },
+  { unique: true, partialFilterExpression: { is_cover: true } }
+);
+imageSchema.index({ status: 1, createdAt: 1 });
 
 const Image = mongoose.model('Image', imageSchema);
 
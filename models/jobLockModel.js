@@ -0,0 +1,57 @@
+const os = require('os');
+const mongoose = require('mongoose');
+
+// Identifies this process when several instances share the database
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const jobLockSchema = new mongoose.Schema(
+  {
+    // Job name
+    _id: {
+      type: String,
+    },
+    locked_by: {
+      type: String,
+    },
+    locked_until: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Take the lease on a job if nobody holds it or the previous lease expired.
+// Resolves to false when another instance is running the job.
+jobLockSchema.statics.acquire = async function (name, ttlMs) {
+  const now = new Date();
+
+  try {
+    await this.findOneAndUpdate(
+      { _id: name, locked_until: { $lte: now } },
+      {
+        locked_by: INSTANCE_ID,
+        locked_until: new Date(now.getTime() + ttlMs),
+      },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collides with a live lease held by another instance
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+jobLockSchema.statics.release = function (name) {
+  return this.updateOne(
+    { _id: name, locked_by: INSTANCE_ID },
+    { locked_until: new Date() }
+  );
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
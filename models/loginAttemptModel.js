@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // Tracked subject, e.g. account:<username> or ip:<address>
+    _id: {
+      type: String,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    last_failed_at: {
+      type: Date,
+    },
+    locked_until: {
+      type: Date,
+    },
+    // Documents are dropped once the failure window and any lock have passed
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginAttemptSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+loginAttemptSchema.index({ locked_until: -1 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
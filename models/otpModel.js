@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const otpSchema = new mongoose.Schema(
+  {
+    phone: {
+      type: String,
+      required: [true, 'Phone number is required'],
+    },
+    purpose: {
+      type: String,
+      enum: ['login', 'verify_phone'],
+      required: [true, 'Purpose is required'],
+    },
+    // User who asked to verify the phone; empty for login codes
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Only an HMAC of the code is stored
+    code_hash: {
+      type: String,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+    consumed_at: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for faster querying
+otpSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Keep codes for a day after expiry so hourly send limits can count them
+otpSchema.index({ expires_at: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const Otp = mongoose.model('Otp', otpSchema);
+
+module.exports = Otp;
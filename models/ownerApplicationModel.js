@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const User = require('./userModel');
+const AppError = require('../utils/appError');
+const decidePending = require('../utils/decidePending');
+
+const ownerApplicationSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    business_name: {
+      type: String,
+      required: [true, 'Business name is required'],
+      trim: true,
+    },
+    phone_number: {
+      type: String,
+      required: [true, 'Phone number is required'],
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    // Links to licences or other supporting documents
+    documents: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // Uploaded documents, kept private and shown through signed links
+    document_files: [
+      {
+        _id: false,
+        storage_key: { type: String, required: true },
+        name: { type: String, trim: true },
+        content_type: { type: String },
+        bytes: { type: Number },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    reviewed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewed_at: {
+      type: Date,
+    },
+    decision_reason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Record an admin's decision and, on approval, make the applicant an owner.
+// Rejects with a 400 if the application was already decided.
+ownerApplicationSchema.methods.decide = async function (status, admin, reason) {
+  if (this.status !== 'pending') {
+    throw new AppError(`Application has already been ${this.status}`, 400);
+  }
+
+  // Only the decision that moves it out of pending goes on
+  await decidePending(this, 'Application', {
+    status,
+    reviewed_by: admin._id,
+    reviewed_at: new Date(),
+    decision_reason: reason,
+  });
+
+  if (status === 'approved') {
+    const user = await User.findById(this.user_id);
+    if (user && user.role === 'user') {
+      user.role = 'owner';
+      await user.save();
+    }
+  }
+
+  return this;
+};
+
+// Create indexes for faster querying
+ownerApplicationSchema.index({ user_id: 1 });
+ownerApplicationSchema.index({ status: 1, createdAt: 1 });
+
+const OwnerApplication = mongoose.model(
+  'OwnerApplication',
+  ownerApplicationSchema
+);
+
+module.exports = OwnerApplication;
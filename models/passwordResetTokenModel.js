@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    // Only a SHA-256 hash of the token is stored
+    token_hash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+    used_at: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for faster querying
+passwordResetTokenSchema.index({ user_id: 1 });
+// Let MongoDB drop expired tokens
+passwordResetTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetToken = mongoose.model(
+  'PasswordResetToken',
+  passwordResetTokenSchema
+);
+
+module.exports = PasswordResetToken;
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const {
+  PAYMENT_METHODS,
+  PAYMENT_RECORD_STATUS,
+} = require('../utils/payments');
+
+const paymentSchema = new mongoose.Schema(
+  {
+    booking_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: [true, 'Booking is required'],
+    },
+    type: {
+      type: String,
+      enum: ['payment', 'refund'],
+      default: 'payment',
+    },
+    method: {
+      type: String,
+      enum: [...PAYMENT_METHODS, 'online'],
+      required: [true, 'Payment method is required'],
+    },
+    // Online payments stay pending until the provider calls back
+    status: {
+      type: String,
+      enum: Object.values(PAYMENT_RECORD_STATUS),
+      default: PAYMENT_RECORD_STATUS.SUCCEEDED,
+    },
+    provider: {
+      type: String,
+    },
+    provider_invoice_id: {
+      type: String,
+    },
+    provider_transaction_id: {
+      type: String,
+    },
+    payment_url: {
+      type: String,
+    },
+    expires_at: {
+      type: Date,
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [1, 'Amount must be positive'],
+    },
+    // How much of this payment has been refunded so far
+    refunded_amount: {
+      type: Number,
+      default: 0,
+    },
+    // The payment a refund gives money back for
+    refund_of: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    recorded_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for faster querying
+paymentSchema.index({ booking_id: 1, createdAt: 1 });
+paymentSchema.index({ refund_of: 1 });
+// At most one open online invoice per booking
+paymentSchema.index(
+  { booking_id: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      method: 'online',
+      status: PAYMENT_RECORD_STATUS.PENDING,
+    },
+  }
+);
+paymentSchema.index(
+  { provider: 1, provider_invoice_id: 1 },
+  { unique: true, partialFilterExpression: { provider_invoice_id: { $exists: true } } }
+);
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    // Only a SHA-256 hash of the token is stored
+    token_hash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Tokens rotated from the same login share a family, so reuse of an
+    // old token can revoke the whole chain
+    family: {
+      type: String,
+      required: true,
+    },
+    // User's token_version when issued; bumping it invalidates the token
+    token_version: {
+      type: Number,
+      required: true,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+    revoked_at: {
+      type: Date,
+    },
+    replaced_by: {
+      type: String,
+    },
+    created_by_ip: {
+      type: String,
+    },
+    user_agent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for faster querying
+refreshTokenSchema.index({ user_id: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let MongoDB drop expired tokens
+refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
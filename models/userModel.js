@@ -30,6 +30,21 @@ const userSchema = new mongoose.Schema(
       enum: ['admin', 'owner', 'user'],
       default: 'user',
     },
+    // Stored as +998XXXXXXXXX; only counts once phone_verified_at is set
+    phone: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+    },
+    phone_verified_at: {
+      type: Date,
+    },
+    // Bumped to invalidate every token issued before
+    token_version: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -43,6 +58,10 @@ userSchema.virtual('fullName').get(function () {
   return `${this.firstname} ${this.lastname}`;
 });
 
+userSchema.virtual('phone_verified').get(function () {
+  return Boolean(this.phone && this.phone_verified_at);
+});
+
 // Virtual field for venues (for owners)
 userSchema.virtual('venues', {
   ref: 'Venue',
@@ -50,6 +69,14 @@ userSchema.virtual('venues', {
   foreignField: 'owner_id',
 });
 
+// Tokens issued before a password or role change stop working
+userSchema.pre('save', function (next) {
+  if (!this.isNew && (this.isModified('password') || this.isModified('role'))) {
+    this.token_version += 1;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
@@ -1,4 +1,234 @@
 const mongoose = require('mongoose');
+const AppError = require('../utils/appError');
+const { TIME_PATTERN, toMinutes } = require('../utils/timeSlots');
+const { MONTH_DAY_PATTERN } = require('../utils/pricing');
+const { STAFF_ROLES } = require('../config/permissions');
+const {
+  VENUE_STATUS,
+  assertVenueTransition,
+} = require('../utils/venueStatus');
+
+const timeSlotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Time slot name is required'],
+    trim: true,
+  },
+  start_time: {
+    type: String,
+    required: [true, 'Time slot start time is required'],
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format'],
+  },
+  end_time: {
+    type: String,
+    required: [true, 'Time slot end time is required'],
+    match: [TIME_PATTERN, 'End time must be in HH:mm format'],
+  },
+});
+
+timeSlotSchema.path('end_time').validate(function (value) {
+  if (!TIME_PATTERN.test(value) || !TIME_PATTERN.test(this.start_time || '')) {
+    return true;
+  }
+  return toMinutes(value) > toMinutes(this.start_time);
+}, 'Time slot must end after it starts');
+
+const blockedDateSchema = new mongoose.Schema(
+  {
+    date: {
+      type: Date,
+      required: [true, 'Blocked date is required'],
+    },
+    // Leave empty to block the whole day
+    slot_name: {
+      type: String,
+      trim: true,
+    },
+    // Internal note for the owner and staff; hidden from the public
+    reason: {
+      type: String,
+      trim: true,
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const pricingSchema = new mongoose.Schema(
+  {
+    // Day of week (0 = Sunday) multipliers, e.g. 1.2 on Fridays
+    weekday_multipliers: [
+      {
+        _id: false,
+        day: {
+          type: Number,
+          required: [true, 'Weekday is required'],
+          min: [0, 'Weekday must be between 0 and 6'],
+          max: [6, 'Weekday must be between 0 and 6'],
+        },
+        multiplier: {
+          type: Number,
+          required: [true, 'Multiplier is required'],
+          min: [0, 'Multiplier cannot be negative'],
+        },
+      },
+    ],
+    // Yearly recurring date ranges such as the wedding season
+    seasons: [
+      {
+        name: {
+          type: String,
+          required: [true, 'Season name is required'],
+          trim: true,
+        },
+        start: {
+          type: String,
+          required: [true, 'Season start is required'],
+          match: [MONTH_DAY_PATTERN, 'Season start must be in MM-DD format'],
+        },
+        end: {
+          type: String,
+          required: [true, 'Season end is required'],
+          match: [MONTH_DAY_PATTERN, 'Season end must be in MM-DD format'],
+        },
+        multiplier: {
+          type: Number,
+          required: [true, 'Multiplier is required'],
+          min: [0, 'Multiplier cannot be negative'],
+        },
+      },
+    ],
+    // Fixed seat price for specific dates such as holidays
+    date_overrides: [
+      {
+        date: {
+          type: Date,
+          required: [true, 'Override date is required'],
+        },
+        price_seat: {
+          type: Number,
+          required: [true, 'Override price is required'],
+          min: [0, 'Price cannot be negative'],
+        },
+        label: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
+    // Guests charged for even if fewer attend
+    min_guests: {
+      type: Number,
+      min: [0, 'Minimum guests cannot be negative'],
+      default: 0,
+    },
+    // Optional add-ons clients can order with a booking
+    extras: [
+      {
+        name: {
+          type: String,
+          required: [true, 'Extra name is required'],
+          trim: true,
+        },
+        price: {
+          type: Number,
+          required: [true, 'Extra price is required'],
+          min: [0, 'Price cannot be negative'],
+        },
+        // Charged once per guest instead of once per booking
+        per_guest: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    // Percentage off for large parties; the best matching one applies
+    discounts: [
+      {
+        name: {
+          type: String,
+          required: [true, 'Discount name is required'],
+          trim: true,
+        },
+        min_guests: {
+          type: Number,
+          required: [true, 'Minimum guests is required'],
+          min: [1, 'Minimum guests must be at least 1'],
+        },
+        percent: {
+          type: Number,
+          required: [true, 'Discount percent is required'],
+          min: [0, 'Discount cannot be negative'],
+          max: [100, 'Discount cannot exceed 100%'],
+        },
+      },
+    ],
+    // Share of the total due upfront to hold the date
+    deposit_percent: {
+      type: Number,
+      min: [0, 'Deposit cannot be negative'],
+      max: [100, 'Deposit cannot exceed 100%'],
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Users the owner delegated part of the venue to; what each role may do
+// is configured in config/permissions
+const staffSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Staff user is required'],
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: [true, 'Staff role is required'],
+    },
+    // Invited members get no rights until they accept
+    status: {
+      type: String,
+      enum: ['invited', 'active'],
+      default: 'invited',
+    },
+    invited_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    invited_at: {
+      type: Date,
+      default: Date.now,
+    },
+    accepted_at: {
+      type: Date,
+    },
+  }
+);
+
+const moderationChangeSchema = new mongoose.Schema(
+  {
+    from: String,
+    to: {
+      type: String,
+      required: true,
+    },
+    changed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reason: String,
+    changed_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const venueSchema = new mongoose.Schema(
   {
@@ -32,14 +262,43 @@ const venueSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['tasdiqlangan', 'tasdiqlanmagan'],
-      default: 'tasdiqlanmagan',
+      enum: Object.values(VENUE_STATUS),
+      default: VENUE_STATUS.SUBMITTED,
+    },
+    // Why the venue was last rejected or sent back, shown to the owner
+    moderation_reason: {
+      type: String,
+      trim: true,
+    },
+    // Internal notes of the moderators; only loaded where asked for
+    moderation_history: {
+      type: [moderationChangeSchema],
+      select: false,
     },
     owner_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: [true, 'Owner is required'],
     },
+    time_slots: {
+      type: [timeSlotSchema],
+      validate: {
+        validator: (slots) =>
+          new Set(slots.map((slot) => slot.name)).size === slots.length,
+        message: 'Time slot names must be unique',
+      },
+    },
+    blocked_dates: [blockedDateSchema],
+    pricing: {
+      type: pricingSchema,
+      default: () => ({}),
+    },
+    // Who works for the venue is not public; loaded with +staff wherever
+    // access is checked or the staff is shown
+    staff: {
+      type: [staffSchema],
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -48,11 +307,22 @@ const venueSchema = new mongoose.Schema(
   }
 );
 
-// Virtual field for images
+// Virtual field for images, in gallery order
 venueSchema.virtual('images', {
   ref: 'Image',
   localField: '_id',
   foreignField: 'venue_id',
+  match: { status: { $ne: 'rejected' } },
+  options: { sort: { position: 1, _id: 1 } },
+});
+
+// Virtual field for the cover image shown in venue lists
+venueSchema.virtual('cover_image', {
+  ref: 'Image',
+  localField: '_id',
+  foreignField: 'venue_id',
+  match: { is_cover: true },
+  justOne: true,
 });
 
 // Virtual field for bookings
@@ -65,8 +335,59 @@ venueSchema.virtual('bookings', {
 // Create index for faster querying
 venueSchema.index({ district_id: 1 });
 venueSchema.index({ owner_id: 1 });
+venueSchema.index({ 'staff.user_id': 1 });
 venueSchema.index({ status: 1 });
 
+// Move the venue to a new moderation status, or throw an AppError if the
+// move is not allowed. The move is one update conditional on the status the
+// venue was loaded with, so of two concurrent decisions only the first goes
+// through and the other gets a 409. Resolves with the updated venue.
+venueSchema.methods.moderate = async function (status, { user, reason } = {}) {
+  assertVenueTransition(this.status, status, reason);
+
+  const update = {
+    $set: { status },
+    $push: {
+      moderation_history: {
+        from: this.status,
+        to: status,
+        changed_by: user ? user._id : undefined,
+        reason,
+      },
+    },
+  };
+  if (reason === undefined) {
+    update.$unset = { moderation_reason: 1 };
+  } else {
+    update.$set.moderation_reason = reason;
+  }
+
+  const moderated = await this.constructor
+    .findOneAndUpdate({ _id: this._id, status: this.status }, update, {
+      new: true,
+      runValidators: true,
+    })
+    .select('+moderation_history');
+
+  if (!moderated) {
+    const current = await this.constructor.findById(this._id).select('status');
+    if (!current) throw new AppError('Venue not found', 404);
+    throw new AppError(
+      `Venue is already ${current.status}, reload it and try again`,
+      409
+    );
+  }
+
+  return moderated;
+};
+
+// The user's staff membership of this venue, invited or active
+venueSchema.methods.findStaff = function (userId) {
+  return this.staff.find((member) =>
+    member.user_id.equals(userId._id || userId)
+  );
+};
+
 const Venue = mongoose.model('Venue', venueSchema);
 
 module.exports = Venue;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Venue = require('./venueModel');
+const AppError = require('../utils/appError');
+const decidePending = require('../utils/decidePending');
+const { REVIEWED_FIELDS } = require('../utils/venueStatus');
+
+// Edits to reviewed fields of an approved venue wait here for an admin.
+// The venue keeps its approved values until the revision is approved.
+const venueRevisionSchema = new mongoose.Schema(
+  {
+    venue_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Venue',
+      required: [true, 'Venue is required'],
+    },
+    submitted_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Submitter is required'],
+    },
+    // Proposed values by field name
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Live values of the same fields when they were first proposed
+    previous: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    reviewed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewed_at: {
+      type: Date,
+    },
+    decision_reason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const sameValue = (a, b) => String(a) === String(b);
+
+// Record proposed edits to reviewed fields, merging them into the venue's
+// pending revision if there is one. Values equal to the live ones drop out.
+// Resolves to the pending revision, or null when nothing is left to review.
+venueRevisionSchema.statics.propose = async function (venue, changes, user) {
+  const revision =
+    (await this.findOne({ venue_id: venue._id, status: 'pending' })) ||
+    new this({ venue_id: venue._id, changes: {}, previous: {} });
+
+  const merged = { ...revision.changes };
+  const previous = { ...revision.previous };
+
+  REVIEWED_FIELDS.filter((field) => field in changes).forEach((field) => {
+    if (sameValue(changes[field], venue[field])) {
+      delete merged[field];
+      delete previous[field];
+    } else {
+      merged[field] = changes[field];
+      if (!(field in previous)) previous[field] = venue[field];
+    }
+  });
+
+  if (Object.keys(merged).length === 0) {
+    if (!revision.isNew) await revision.deleteOne();
+    return null;
+  }
+
+  revision.changes = merged;
+  revision.previous = previous;
+  revision.submitted_by = user._id;
+  return revision.save();
+};
+
+// Moves the revision out of pending in one conditional update. Throws a 400
+// if it was already decided, so side effects run for one decision only.
+const recordDecision = async (revision, status, admin, reason) => {
+  if (revision.status !== 'pending') {
+    throw new AppError(`Revision has already been ${revision.status}`, 400);
+  }
+
+  return decidePending(revision, 'Revision', {
+    status,
+    reviewed_by: admin._id,
+    reviewed_at: new Date(),
+    decision_reason: reason,
+  });
+};
+
+// Apply the proposed values to the live venue
+venueRevisionSchema.methods.approve = async function (admin, reason) {
+  await recordDecision(this, 'approved', admin, reason);
+
+  const venue = await Venue.findById(this.venue_id);
+  if (venue) {
+    venue.set(this.changes);
+    await venue.save();
+  }
+
+  return this;
+};
+
+venueRevisionSchema.methods.reject = function (admin, reason) {
+  return recordDecision(this, 'rejected', admin, reason);
+};
+
+// Create indexes for faster querying
+venueRevisionSchema.index(
+  { venue_id: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+venueRevisionSchema.index({ status: 1, createdAt: 1 });
+
+const VenueRevision = mongoose.model('VenueRevision', venueRevisionSchema);
+
+module.exports = VenueRevision;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const mongoStore = require('./mongoStore');
+const memoryStore = require('./memoryStore');
+
+// Every login attempt store exposes:
+//   name
+//   get(key) -> { key, failures, last_failed_at, locked_until } or null
+//   recordFailure(key, windowMs) -> the updated entry
+//   lock(key, until)
+//   clear(key) -> whether an entry was removed
+//   list() -> every live entry
+const stores = {
+  [mongoStore.name]: mongoStore,
+  [memoryStore.name]: memoryStore,
+};
+
+// The store named by LOGIN_ATTEMPT_STORE, mongo by default. Falls back to
+// memory while the database connection is down so logins keep working.
+const getLoginStore = (name = process.env.LOGIN_ATTEMPT_STORE || 'mongo') => {
+  const store = stores[name];
+  if (!store) {
+    throw new Error(`Unknown login attempt store ${name}`);
+  }
+  if (store === mongoStore && mongoose.connection.readyState !== 1) {
+    return memoryStore;
+  }
+  return store;
+};
+
+module.exports = {
+  getLoginStore,
+};
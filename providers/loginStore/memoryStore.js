@@ -0,0 +1,67 @@
+// Per-process store; counters are not shared between app instances
+const entries = new Map();
+
+const name = 'memory';
+
+const toEntry = (key, record) => ({
+  key,
+  failures: record.failures,
+  last_failed_at: record.last_failed_at,
+  locked_until: record.locked_until || null,
+});
+
+const live = (key) => {
+  const record = entries.get(key);
+  if (record && record.expires_at <= new Date()) {
+    entries.delete(key);
+    return null;
+  }
+  return record || null;
+};
+
+const get = async (key) => {
+  const record = live(key);
+  return record ? toEntry(key, record) : null;
+};
+
+const recordFailure = async (key, windowMs) => {
+  const now = new Date();
+  const record = live(key);
+  const expired = !record || record.last_failed_at <= new Date(now - windowMs);
+
+  const next = {
+    failures: expired ? 1 : record.failures + 1,
+    last_failed_at: now,
+    locked_until: record ? record.locked_until : null,
+    expires_at: new Date(
+      Math.max(now.getTime() + windowMs, record ? record.expires_at.getTime() : 0)
+    ),
+  };
+  entries.set(key, next);
+
+  return toEntry(key, next);
+};
+
+const lock = async (key, until) => {
+  const record = live(key);
+  if (!record) return;
+
+  record.locked_until = until;
+  if (record.expires_at < until) record.expires_at = until;
+};
+
+const clear = async (key) => entries.delete(key);
+
+const list = async () =>
+  Array.from(entries.keys())
+    .filter((key) => live(key))
+    .map((key) => toEntry(key, entries.get(key)));
+
+module.exports = {
+  name,
+  get,
+  recordFailure,
+  lock,
+  clear,
+  list,
+};
@@ -0,0 +1,86 @@
+const LoginAttempt = require('../../models/loginAttemptModel');
+
+// Shared by every app instance connected to the same database
+const name = 'mongo';
+
+const toEntry = (doc) => ({
+  key: doc._id,
+  failures: doc.failures,
+  last_failed_at: doc.last_failed_at,
+  locked_until: doc.locked_until || null,
+});
+
+const get = async (key) => {
+  const doc = await LoginAttempt.findOne({
+    _id: key,
+    expires_at: { $gt: new Date() },
+  }).lean();
+  return doc ? toEntry(doc) : null;
+};
+
+// One atomic update, so concurrent failures on several instances all count.
+// The counter restarts when the previous failure is older than the window.
+const recordFailure = async (key, windowMs) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - windowMs);
+  const windowEnd = new Date(now.getTime() + windowMs);
+
+  const doc = await LoginAttempt.findOneAndUpdate(
+    { _id: key },
+    [
+      {
+        $set: {
+          failures: {
+            $cond: [
+              { $gt: [{ $ifNull: ['$last_failed_at', windowStart] }, windowStart] },
+              { $add: ['$failures', 1] },
+              1,
+            ],
+          },
+          last_failed_at: now,
+          expires_at: { $max: [{ $ifNull: ['$locked_until', now] }, windowEnd] },
+          createdAt: { $ifNull: ['$createdAt', now] },
+          updatedAt: now,
+        },
+      },
+    ],
+    { upsert: true, new: true, lean: true }
+  );
+
+  return toEntry(doc);
+};
+
+const lock = async (key, until) => {
+  await LoginAttempt.updateOne(
+    { _id: key },
+    [
+      {
+        $set: {
+          locked_until: until,
+          expires_at: { $max: ['$expires_at', until] },
+        },
+      },
+    ]
+  );
+};
+
+const clear = async (key) => {
+  const result = await LoginAttempt.deleteOne({ _id: key });
+  return result.deletedCount > 0;
+};
+
+const list = async () => {
+  const docs = await LoginAttempt.find({ expires_at: { $gt: new Date() } })
+    .sort({ last_failed_at: -1 })
+    .lean();
+  return docs.map(toEntry);
+};
+
+module.exports = {
+  name,
+  get,
+  recordFailure,
+  lock,
+  clear,
+  list,
+};
@@ -0,0 +1,9 @@
+// Writes the notification to the server log. Only for local use: it is
+// left out of the default channels in production.
+exports.name = 'console';
+
+exports.canReach = () => true;
+
+exports.send = async (user, { subject, message }) => {
+  console.log(`[notification] to ${user.username}: ${subject}\n${message}`);
+};
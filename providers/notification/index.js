@@ -0,0 +1,35 @@
+const smsChannel = require('./smsChannel');
+const consoleChannel = require('./consoleChannel');
+
+// Every notification channel exposes:
+//   name
+//   canReach(user) -> whether the user can be contacted this way
+//   send(user, { subject, message }) -> resolves once handed off
+const channels = {
+  [smsChannel.name]: smsChannel,
+  [consoleChannel.name]: consoleChannel,
+};
+
+// NOTIFICATION_CHANNELS lists channels in order of preference
+const getEnabledChannels = () => {
+  const fallback = process.env.NODE_ENV === 'production' ? 'sms' : 'sms,console';
+
+  return (process.env.NOTIFICATION_CHANNELS || fallback)
+    .split(',')
+    .map((name) => channels[name.trim()])
+    .filter(Boolean);
+};
+
+// Send through the first enabled channel that can reach the user.
+// Resolves to the channel name, or null if none could.
+const notifyUser = async (user, notification) => {
+  const channel = getEnabledChannels().find((item) => item.canReach(user));
+  if (!channel) return null;
+
+  await channel.send(user, notification);
+  return channel.name;
+};
+
+module.exports = {
+  notifyUser,
+};
@@ -0,0 +1,9 @@
+const { getSmsProvider } = require('../sms');
+
+// Texts the user's verified phone number
+exports.name = 'sms';
+
+exports.canReach = (user) => Boolean(user.phone && user.phone_verified_at);
+
+exports.send = (user, { message }) =>
+  getSmsProvider().send({ to: user.phone, message });
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const AppError = require('../../utils/appError');
+
+// Local stand-in for a Click/Payme style provider. Invoices are never sent
+// anywhere; callbacks are produced by `simulate` and signed the same way a
+// real provider would sign them. Never available in production, where
+// anyone could use it to mark bookings as paid.
+
+const INVOICE_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+const OUTCOMES = {
+  success: 'succeeded',
+  failure: 'failed',
+  timeout: 'expired',
+};
+
+const getSecret = () => {
+  if (!process.env.PAYMENT_FAKE_SECRET) {
+    throw new Error('PAYMENT_FAKE_SECRET is not configured');
+  }
+  return process.env.PAYMENT_FAKE_SECRET;
+};
+
+const sign = ({ invoice_id, transaction_id, status, amount }) =>
+  crypto
+    .createHmac('sha256', getSecret())
+    .update(`${invoice_id}:${transaction_id}:${status}:${amount}`)
+    .digest('hex');
+
+exports.name = 'fake';
+
+exports.createInvoice = async () => {
+  const invoiceId = `fake_${crypto.randomBytes(12).toString('hex')}`;
+
+  return {
+    provider_invoice_id: invoiceId,
+    payment_url: `/api/payments/fake/${invoiceId}/simulate`,
+    expires_at: new Date(Date.now() + INVOICE_TTL_MS),
+  };
+};
+
+// Check the signature of a callback and translate it to the common shape
+exports.verifyCallback = async (body) => {
+  const { invoice_id, transaction_id, status, amount, signature } = body;
+
+  const expected = Buffer.from(sign({ invoice_id, transaction_id, status, amount }));
+  const received = Buffer.from(String(signature || ''));
+
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    throw new AppError('Invalid payment callback signature', 401);
+  }
+
+  return {
+    provider_invoice_id: invoice_id,
+    transaction_id,
+    status,
+    amount: Number(amount),
+  };
+};
+
+// Build the signed callback the provider would send for an outcome
+exports.simulate = (invoiceId, amount, outcome) => {
+  const status = OUTCOMES[outcome];
+  if (!status) {
+    throw new AppError(
+      `Outcome must be one of: ${Object.keys(OUTCOMES).join(', ')}`,
+      400
+    );
+  }
+
+  const callback = {
+    invoice_id: invoiceId,
+    transaction_id: `fake_txn_${crypto.randomBytes(8).toString('hex')}`,
+    status,
+    amount,
+  };
+
+  return { ...callback, signature: sign(callback) };
+};
@@ -0,0 +1,38 @@
+const AppError = require('../../utils/appError');
+const fakeProvider = require('./fakeProvider');
+
+// Every payment provider adapter exposes the same interface:
+//   name
+//   createInvoice({ amount, description }) ->
+//     { provider_invoice_id, payment_url, expires_at }
+//   verifyCallback(body, headers) ->
+//     { provider_invoice_id, transaction_id, status, amount }
+//     where status is succeeded, failed or expired. Rejects with a 401
+//     AppError when the signature does not match.
+const providers = {};
+
+// The sandbox signs its own callbacks, so it is left out of production
+const isProduction = process.env.NODE_ENV === 'production';
+if (!isProduction) {
+  providers[fakeProvider.name] = fakeProvider;
+}
+
+// The provider named by PAYMENT_PROVIDER is used for new invoices; outside
+// production it defaults to the sandbox
+const getPaymentProvider = (
+  name = process.env.PAYMENT_PROVIDER || (isProduction ? '' : 'fake')
+) => {
+  if (!name) {
+    throw new AppError('Online payments are not configured', 503);
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new AppError(`Unknown payment provider ${name}`, 404);
+  }
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider,
+};
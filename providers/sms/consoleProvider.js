@@ -0,0 +1,6 @@
+// Prints messages to the server log instead of sending them. For local use.
+exports.name = 'console';
+
+exports.send = async ({ to, message }) => {
+  console.log(`[sms] to ${to}: ${message}`);
+};
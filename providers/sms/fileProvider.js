@@ -0,0 +1,16 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Appends messages to a log file instead of sending them. For local use and
+// for reading codes back in manual testing.
+exports.name = 'file';
+
+exports.send = async ({ to, message }) => {
+  const file = process.env.SMS_LOG_FILE || 'logs/sms.log';
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(
+    file,
+    `${new Date().toISOString()}\t${to}\t${message}\n`
+  );
+};
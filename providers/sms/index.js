@@ -0,0 +1,36 @@
+const AppError = require('../../utils/appError');
+const consoleProvider = require('./consoleProvider');
+const fileProvider = require('./fileProvider');
+
+// Every SMS provider adapter exposes:
+//   name
+//   send({ to, message }) -> resolves once the gateway accepted the message
+const providers = {};
+
+// Both only log or write the messages, one-time codes included, so they
+// are left out of production
+const isProduction = process.env.NODE_ENV === 'production';
+if (!isProduction) {
+  providers[consoleProvider.name] = consoleProvider;
+  providers[fileProvider.name] = fileProvider;
+}
+
+// The provider named by SMS_PROVIDER; outside production it defaults to
+// the console
+const getSmsProvider = (
+  name = process.env.SMS_PROVIDER || (isProduction ? '' : 'console')
+) => {
+  if (!name) {
+    throw new AppError('SMS delivery is not configured', 503);
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider ${name}`);
+  }
+  return provider;
+};
+
+module.exports = {
+  getSmsProvider,
+};
@@ -0,0 +1,27 @@
+const localStorage = require('./localStorage');
+const s3Storage = require('./s3Storage');
+
+// Every storage driver exposes:
+//   name
+//   put(key, body, { contentType }) -> resolves once the object is stored
+//   remove(keys) -> deletes the objects, ignoring ones that are gone
+//   getUrl(key) -> public URL of the object
+//   getSignedUrl(key, { expiresIn }) -> URL that works for expiresIn
+//     seconds, for objects under private/ that have no public URL
+const drivers = {
+  [localStorage.name]: localStorage,
+  [s3Storage.name]: s3Storage,
+};
+
+// The driver named by STORAGE_DRIVER, local disk by default
+const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver ${name}`);
+  }
+  return driver;
+};
+
+module.exports = {
+  getStorage,
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+const AppError = require('../../utils/appError');
+
+// Keeps objects on local disk under UPLOAD_DIR and serves them from
+// /uploads. Fine for development; files are lost when the disk is.
+exports.name = 'local';
+
+const ROOT = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const PUBLIC_PATH = '/uploads';
+const PRIVATE_PREFIX = 'private/';
+
+exports.PUBLIC_PATH = PUBLIC_PATH;
+
+const filePath = (key) => {
+  const target = path.resolve(ROOT, key);
+  if (!target.startsWith(ROOT + path.sep)) {
+    throw new Error(`Invalid storage key ${key}`);
+  }
+  return target;
+};
+
+// Signed links get a secret of their own, so rotating JWT_SECRET does not
+// break them and a leaked link secret cannot mint access tokens
+const getSecret = () => {
+  const secret = process.env.STORAGE_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('STORAGE_SIGNING_SECRET is not configured');
+  }
+  return secret;
+};
+
+const sign = (key, expires) =>
+  crypto
+    .createHmac('sha256', getSecret())
+    .update(`${key}:${expires}`)
+    .digest('hex');
+
+exports.put = async (key, body) => {
+  const target = filePath(key);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, body);
+};
+
+exports.remove = async (keys) => {
+  await Promise.all(
+    keys.map((key) => fs.rm(filePath(key), { force: true }))
+  );
+
+  // Drop folders the removal left empty; non-empty ones refuse
+  const folders = new Set(keys.map((key) => path.dirname(filePath(key))));
+  await Promise.all(
+    [...folders].map((folder) => fs.rmdir(folder).catch(() => {}))
+  );
+};
+
+exports.getUrl = (key) =>
+  `${process.env.PUBLIC_URL || ''}${PUBLIC_PATH}/${key}`;
+
+exports.getSignedUrl = async (key, { expiresIn = 900 } = {}) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${exports.getUrl(key)}?expires=${expires}&signature=${sign(
+    key,
+    expires
+  )}`;
+};
+
+// Storage key a request asks for, or null if it is not a plain relative
+// key. Keys with .. segments are refused outright rather than resolved, so
+// no path can reach private/ from outside it.
+const requestKey = (req) => {
+  let key;
+  try {
+    key = decodeURIComponent(req.path.slice(1));
+  } catch (error) {
+    return null;
+  }
+
+  if (
+    !key ||
+    key.startsWith('/') ||
+    key.includes('\0') ||
+    key.split(/[\\/]/).includes('..')
+  ) {
+    return null;
+  }
+  return path.posix.normalize(key);
+};
+
+// Whether the request carries a valid, unexpired signature for the key
+const hasValidSignature = (req, key) => {
+  const expires = Number(req.query.expires);
+  if (!expires || expires < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(sign(key, expires));
+  const given = Buffer.from(String(req.query.signature || ''));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+};
+
+// Files under private/ are sent only for a URL from getSignedUrl, straight
+// from disk and never through the public static handler
+const servePrivate = (req, res, next, key) => {
+  if (!hasValidSignature(req, key)) {
+    return next(new AppError('Invalid or expired link', 403));
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(filePath(key), (error) => {
+    if (!error) return;
+    if (error.status === 404 || error.code === 'ENOENT') {
+      return next(new AppError('File not found', 404));
+    }
+    next(error);
+  });
+};
+
+const servePublic = express.static(ROOT, {
+  setHeaders: (res) => {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  },
+});
+
+// Serves stored files: public ones as static files, private ones only
+// through a signed link
+exports.serve = (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+  const key = requestKey(req);
+  if (!key) return next(new AppError('File not found', 404));
+
+  if (key.startsWith(PRIVATE_PREFIX)) return servePrivate(req, res, next, key);
+  servePublic(req, res, next);
+};
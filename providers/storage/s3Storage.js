@@ -0,0 +1,92 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Keeps objects in an S3 bucket, or in any S3-compatible service such as
+// MinIO when S3_ENDPOINT is set. Public files are read from S3_PUBLIC_URL
+// (a CDN or the bucket's public address); objects under private/ should be
+// left out of the bucket's public read policy.
+exports.name = 's3';
+
+const bucket = () => {
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET is not configured');
+  }
+  return process.env.S3_BUCKET;
+};
+
+let client;
+const getClient = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      // Self-hosted services usually do not resolve bucket subdomains
+      forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    });
+  }
+  return client;
+};
+
+exports.put = async (key, body, { contentType } = {}) => {
+  await getClient().send(
+    new PutObjectCommand({
+      Bucket: bucket(),
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      // Keys are never reused, so stored files can be cached for good
+      CacheControl: 'public, max-age=31536000, immutable',
+    })
+  );
+};
+
+exports.remove = async (keys) => {
+  // DeleteObjects takes up to 1000 keys per call
+  for (let i = 0; i < keys.length; i += 1000) {
+    const { Errors } = await getClient().send(
+      new DeleteObjectsCommand({
+        Bucket: bucket(),
+        Delete: {
+          Objects: keys.slice(i, i + 1000).map((key) => ({ Key: key })),
+          Quiet: true,
+        },
+      })
+    );
+
+    if (Errors && Errors.length > 0) {
+      throw new Error(
+        `Could not delete ${Errors[0].Key}: ${Errors[0].Message}`
+      );
+    }
+  }
+};
+
+exports.getUrl = (key) => {
+  if (process.env.S3_PUBLIC_URL) {
+    return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${key}`;
+  }
+  if (process.env.S3_ENDPOINT) {
+    return `${process.env.S3_ENDPOINT.replace(/\/$/, '')}/${bucket()}/${key}`;
+  }
+  return `https://${bucket()}.s3.${
+    process.env.S3_REGION || 'us-east-1'
+  }.amazonaws.com/${key}`;
+};
+
+exports.getSignedUrl = (key, { expiresIn = 900 } = {}) =>
+  getSignedUrl(
+    getClient(),
+    new GetObjectCommand({ Bucket: bucket(), Key: key }),
+    { expiresIn }
+  );
@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const reportController = require('../controllers/reportController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const {
+  validateBulkModeration,
+  validateReportQuery,
+} = require('../middleware/validationMiddleware');
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/admin/login-locks:
+ *   get:
+ *     summary: Get accounts and IPs with failed logins (admin only)
+ *     description: |
+ *       Entries are keyed account:<username> or ip:<address>. After 3 failures
+ *       each attempt has to wait progressively longer, and crossing the
+ *       threshold locks the account or IP for a while.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: locked
+ *         schema:
+ *           type: boolean
+ *         description: Only return locked entries
+ *     responses:
+ *       200:
+ *         description: List of failed login entries
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/login-locks', requirePermission('login_lock:manage'), adminController.getLoginLocks);
+
+/**
+ * @swagger
+ * /api/admin/login-locks/{key}:
+ *   delete:
+ *     summary: Clear failed logins and any lock (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Entry key, e.g. account:alice or ip:203.0.113.7
+ *     responses:
+ *       200:
+ *         description: Entry cleared
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: No entry for this key
+ */
+router.delete('/login-locks/:key', requirePermission('login_lock:manage'), adminController.clearLoginLock);
+
+/**
+ * @swagger
+ * /api/admin/moderation:
+ *   get:
+ *     summary: Get items waiting for review (admin only)
+ *     description: |
+ *       Submitted venues, pending venue revisions, new images and owner
+ *       applications, oldest first. Each entry carries its age, submitter
+ *       and, for revisions, a field by field diff (value when proposed,
+ *       live value, proposed value).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated queues (venue, revision, image, owner_application); all by default
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Items per queue
+ *     responses:
+ *       200:
+ *         description: Items per queue and the total waiting in each
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/moderation', requirePermission('moderation:view'), adminController.getModerationQueue);
+
+/**
+ * @swagger
+ * /api/admin/moderation/bulk:
+ *   post:
+ *     summary: Approve or reject several items of one kind (admin only)
+ *     description: |
+ *       Applies the same rules as the single-item endpoints to each item and
+ *       reports the outcome per item; one failure does not stop the rest.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - action
+ *               - ids
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [venue, revision, image, owner_application]
+ *               action:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               ids:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *               reason:
+ *                 type: string
+ *                 description: Required when rejecting
+ *     responses:
+ *       200:
+ *         description: Outcome per item
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.post('/moderation/bulk', validateBulkModeration, adminController.bulkModerate);
+
+/**
+ * @swagger
+ * /api/admin/reports:
+ *   get:
+ *     summary: Get the available reports (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Report names, titles and columns
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/reports', requirePermission('report:view'), reportController.getReports);
+
+/**
+ * @swagger
+ * /api/admin/reports/{name}:
+ *   get:
+ *     summary: Run a report or download it as CSV or XLSX (admin only)
+ *     description: |
+ *       CSV and XLSX downloads are streamed row by row, however large.
+ *       JSON returns at most 1000 rows and sets truncated when there are more.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [bookings-by-district, top-venues, new-users, approval-backlog]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day to include
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day to include
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Report rows, or the file download
+ *         content:
+ *           application/json: {}
+ *           text/csv: {}
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet: {}
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Report not found
+ */
+router.get('/reports/:name', requirePermission('report:view'), validateReportQuery, reportController.getReport);
+
+module.exports = router;
@@ -1,14 +1,32 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const { protect } = require('../middleware/authMiddleware');
-const { validateUser, validateLogin, validateProfileUpdate } = require('../middleware/validationMiddleware');
+const {
+  validateRegister,
+  validateLogin,
+  validateProfileUpdate,
+  validateRefreshToken,
+  validatePhone,
+  validateOtp,
+  validatePasswordChange,
+  validateForgotPassword,
+  validatePasswordReset,
+} = require('../middleware/validationMiddleware');
+
+// Requests that text a code cost money, so they get a tighter IP limit
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+});
 
 /**
  * @swagger
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: New accounts are always plain users. Venue owners apply through /api/owner-applications.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -29,16 +47,13 @@ const { validateUser, validateLogin, validateProfileUpdate } = require('../middl
  *                 type: string
  *               password:
  *                 type: string
- *               role:
- *                 type: string
- *                 enum: [admin, owner, user]
  *     responses:
  *       201:
  *         description: User registered successfully
  *       400:
  *         description: Invalid request data
  */
-router.post('/register', validateUser, authController.register);
+router.post('/register', validateRegister, authController.register);
 
 /**
  * @swagger
@@ -61,9 +76,11 @@ router.post('/register', validateUser, authController.register);
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, returns a short-lived access token and a refresh token
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts for the account or IP; see the Retry-After header
  */
 router.post('/login', validateLogin, authController.login);
 
@@ -88,6 +105,7 @@ router.get('/profile', protect, authController.getProfile);
  * /api/auth/profile:
  *   put:
  *     summary: Update user profile
+ *     description: The password is changed through PUT /api/auth/password.
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
@@ -102,8 +120,6 @@ router.get('/profile', protect, authController.getProfile);
  *                 type: string
  *               username:
  *                 type: string
- *               password:
- *                 type: string
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -114,4 +130,281 @@ router.get('/profile', protect, authController.getProfile);
  */
 router.put('/profile', protect, validateProfileUpdate, authController.updateProfile);
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: Each refresh token works once. Reusing an old one revokes every token rotated from the same login.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+router.post('/refresh', validateRefreshToken, authController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refresh token revoked
+ */
+router.post('/logout', validateRefreshToken, authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of every session
+ *     description: Revokes all refresh tokens and invalidates access tokens issued before now.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/logout-all', protect, authController.logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/otp/request:
+ *   post:
+ *     summary: Text a login code to a verified phone number
+ *     description: Responds the same whether or not the number belongs to an account.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "+998901234567"
+ *     responses:
+ *       200:
+ *         description: Code sent if the number is registered
+ *       400:
+ *         description: Invalid phone number
+ *       429:
+ *         description: Codes requested too often
+ */
+router.post('/otp/request', otpLimiter, validatePhone, authController.requestLoginOtp);
+
+/**
+ * @swagger
+ * /api/auth/otp/verify:
+ *   post:
+ *     summary: Log in with a phone number and one-time code
+ *     description: Codes expire after 5 minutes and allow 5 wrong attempts.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - phone
+ *               - code
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Invalid or expired code
+ *       429:
+ *         description: Too many wrong attempts
+ */
+router.post('/otp/verify', validateOtp, authController.verifyLoginOtp);
+
+/**
+ * @swagger
+ * /api/auth/phone:
+ *   post:
+ *     summary: Text a code to verify a phone number for the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verification code sent
+ *       400:
+ *         description: Invalid phone number or used by another account
+ *       401:
+ *         description: Not authenticated
+ *       429:
+ *         description: Codes requested too often
+ */
+router.post('/phone', protect, otpLimiter, validatePhone, authController.requestPhoneVerification);
+
+/**
+ * @swagger
+ * /api/auth/phone/verify:
+ *   post:
+ *     summary: Confirm the current user's phone number with a code
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - phone
+ *               - code
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Phone number verified
+ *       400:
+ *         description: Invalid or expired code
+ *       401:
+ *         description: Not authenticated
+ *       429:
+ *         description: Too many wrong attempts
+ */
+router.post('/phone/verify', protect, validateOtp, authController.verifyPhone);
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Change password
+ *     description: Requires the current password. Signs out every other session and returns new tokens.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - current_password
+ *               - new_password
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Not authenticated or current password is incorrect
+ */
+router.put('/password', protect, validatePasswordChange, authController.changePassword);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Send a password reset token
+ *     description: |
+ *       The single-use token expires after 30 minutes and is delivered through
+ *       the first notification channel that can reach the user. Responds the
+ *       same whether or not the account exists.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset instructions sent if the account exists
+ */
+router.post('/forgot-password', otpLimiter, validateForgotPassword, authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: Signs out every session of the account.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Reset token is invalid, used or expired
+ */
+router.post('/reset-password', validatePasswordReset, authController.resetPassword);
+
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
-const { protect, authorize } = require('../middleware/authMiddleware');
-const { validateBooking, validateBookingStatus } = require('../middleware/validationMiddleware');
+const paymentController = require('../controllers/paymentController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const {
+  validateBooking,
+  validateBookingStatus,
+  validateBookingListQuery,
+  validatePayment,
+  validateRefund,
+} = require('../middleware/validationMiddleware');
 
 /**
  * @swagger
@@ -12,15 +19,38 @@ const { validateBooking, validateBookingStatus } = require('../middleware/valida
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, rejected, cancelled, completed, no_show]
+ *       - in: query
+ *         name: payment_status
+ *         schema:
+ *           type: string
+ *           enum: [unpaid, partially_paid, deposit_paid, paid, refunded]
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       200:
  *         description: List of all bookings
+ *       400:
+ *         description: Invalid status filter
  *       401:
  *         description: Not authenticated
  *       403:
  *         description: Not authorized
  */
-router.get('/', protect, authorize('admin'), bookingController.getBookings);
+router.get(
+  '/',
+  protect,
+  requirePermission('booking:list_all'),
+  validateBookingListQuery,
+  bookingController.getBookings
+);
 
 /**
  * @swagger
@@ -30,19 +60,31 @@ router.get('/', protect, authorize('admin'), bookingController.getBookings);
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, rejected, cancelled, completed, no_show]
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       200:
  *         description: List of user's bookings
+ *       400:
+ *         description: Invalid status filter
  *       401:
  *         description: Not authenticated
  */
-router.get('/user', protect, bookingController.getUserBookings);
+router.get('/user', protect, validateBookingListQuery, bookingController.getUserBookings);
 
 /**
  * @swagger
  * /api/bookings/venue/{id}:
  *   get:
- *     summary: Get bookings for a specific venue
+ *     summary: Get bookings for a specific venue (owner, staff or admin)
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -52,9 +94,25 @@ router.get('/user', protect, bookingController.getUserBookings);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, rejected, cancelled, completed, no_show]
+ *       - in: query
+ *         name: payment_status
+ *         schema:
+ *           type: string
+ *           enum: [unpaid, partially_paid, deposit_paid, paid, refunded]
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       200:
  *         description: List of bookings for the venue
+ *       400:
+ *         description: Invalid status filter
  *       401:
  *         description: Not authenticated
  *       403:
@@ -62,7 +120,28 @@ router.get('/user', protect, bookingController.getUserBookings);
  *       404:
  *         description: Venue not found
  */
-router.get('/venue/:id', protect, bookingController.getVenueBookings);
+router.get('/venue/:id', protect, validateBookingListQuery, bookingController.getVenueBookings);
+
+/**
+ * @swagger
+ * /api/bookings/rollover:
+ *   post:
+ *     summary: Move past bookings to completed or cancelled now (admin only)
+ *     description: Runs the same job that the server schedules hourly
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: How many bookings were moved and how many could not be moved
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       409:
+ *         description: The job is already running on another instance
+ */
+router.post('/rollover', protect, requirePermission('booking:rollover'), bookingController.rolloverBookings);
 
 /**
  * @swagger
@@ -107,25 +186,42 @@ router.get('/:id', protect, bookingController.getBookingById);
  *               - venue_id
  *               - reservation_date
  *               - guest_count
- *               - client_phone
  *             properties:
  *               venue_id:
  *                 type: string
  *               reservation_date:
  *                 type: string
  *                 format: date-time
+ *               slot:
+ *                 type: string
+ *                 description: Name of one of the venue's time slots (defaults to full_day)
  *               guest_count:
  *                 type: integer
  *                 minimum: 1
  *               client_phone:
  *                 type: string
+ *                 description: Defaults to the user's verified phone number
+ *               extras:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Names of the venue's extras to include in the price
+ *               pay_online:
+ *                 type: boolean
+ *                 description: Open a payment invoice for the deposit and return it as payment
  *     responses:
  *       201:
- *         description: Booking created successfully
+ *         description: |
+ *           Booking created successfully. With pay_online, payment is the
+ *           deposit invoice; if it could not be opened, invoice_error says
+ *           why and the booking can be paid later through
+ *           POST /api/bookings/{id}/pay.
  *       400:
  *         description: Invalid request data
  *       401:
  *         description: Not authenticated
+ *       409:
+ *         description: Another booking for the venue and date is in progress
  */
 router.post('/', protect, validateBooking, bookingController.createBooking);
 
@@ -134,6 +230,9 @@ router.post('/', protect, validateBooking, bookingController.createBooking);
  * /api/bookings/{id}:
  *   put:
  *     summary: Update booking
+ *     description: |
+ *       Moving a confirmed booking to another date or time slot sends it
+ *       back to pending until the venue confirms it again.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -152,6 +251,9 @@ router.post('/', protect, validateBooking, bookingController.createBooking);
  *               reservation_date:
  *                 type: string
  *                 format: date-time
+ *               slot:
+ *                 type: string
+ *                 description: Name of one of the venue's time slots (defaults to full_day)
  *               guest_count:
  *                 type: integer
  *                 minimum: 1
@@ -168,6 +270,8 @@ router.post('/', protect, validateBooking, bookingController.createBooking);
  *         description: Not authorized
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Another booking for the venue and date is in progress
  */
 router.put('/:id', protect, bookingController.updateBooking);
 
@@ -175,7 +279,8 @@ router.put('/:id', protect, bookingController.updateBooking);
  * @swagger
  * /api/bookings/{id}:
  *   delete:
- *     summary: Delete booking
+ *     summary: Delete a pending or rejected booking without payments
+ *     description: Confirmed and finished bookings are cancelled instead.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -188,6 +293,8 @@ router.put('/:id', protect, bookingController.updateBooking);
  *     responses:
  *       200:
  *         description: Booking deleted successfully
+ *       400:
+ *         description: Booking is confirmed, finished or has payments
  *       401:
  *         description: Not authenticated
  *       403:
@@ -202,6 +309,10 @@ router.delete('/:id', protect, bookingController.deleteBooking);
  * /api/bookings/{id}/status:
  *   put:
  *     summary: Change booking status
+ *     description: |
+ *       Moves a booking through its lifecycle. Owners confirm or reject pending
+ *       bookings, clients cancel them, and past confirmed bookings become
+ *       completed or no_show. Every change is recorded in status_history.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -221,12 +332,14 @@ router.delete('/:id', protect, bookingController.deleteBooking);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: ["bo'lib o'tgan", "endi bo'ladigan"]
+ *                 enum: [pending, confirmed, rejected, cancelled, completed, no_show]
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Booking status updated successfully
  *       400:
- *         description: Invalid request data
+ *         description: Invalid request data or illegal status transition
  *       401:
  *         description: Not authenticated
  *       403:
@@ -236,4 +349,159 @@ router.delete('/:id', protect, bookingController.deleteBooking);
  */
 router.put('/:id/status', protect, validateBookingStatus, bookingController.changeBookingStatus);
 
+/**
+ * @swagger
+ * /api/bookings/{id}/payments:
+ *   get:
+ *     summary: Get the payment records and balance of a booking
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment summary and records
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/payments', protect, paymentController.getBookingPayments);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/payments:
+ *   post:
+ *     summary: Record a payment for a booking
+ *     description: A pending booking is confirmed once the amount paid reaches the deposit.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - amount
+ *               - method
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *               method:
+ *                 type: string
+ *                 enum: [cash, card, transfer]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *       400:
+ *         description: Invalid request data, or the booking is cancelled or rejected
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Booking not found
+ */
+router.post('/:id/payments', protect, validatePayment, paymentController.addPayment);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/payments/{paymentId}/refund:
+ *   post:
+ *     summary: Refund all or part of a payment
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 description: Defaults to everything not yet refunded
+ *               method:
+ *                 type: string
+ *                 enum: [cash, card, transfer]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Refund recorded
+ *       400:
+ *         description: Invalid refund amount
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Booking or payment not found
+ */
+router.post(
+  '/:id/payments/:paymentId/refund',
+  protect,
+  validateRefund,
+  paymentController.refundPayment
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/pay:
+ *   post:
+ *     summary: Open an online payment invoice for what is due on a booking
+ *     description: |
+ *       Charges the rest of the deposit while it is unmet, otherwise the
+ *       remaining balance. While the booking has an invoice that can still
+ *       be paid, that invoice is returned instead of opening another.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Pending payment with the provider's payment_url
+ *       400:
+ *         description: Nothing is due, or the booking is cancelled or rejected
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Booking not found
+ */
+router.post('/:id/pay', protect, paymentController.payBooking);
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const districtController = require('../controllers/districtController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 const { validateDistrict } = require('../middleware/validationMiddleware');
 
 /**
@@ -10,6 +10,11 @@ const { validateDistrict } = require('../middleware/validationMiddleware');
  *   get:
  *     summary: Get all districts
  *     tags: [Districts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       200:
  *         description: List of districts
@@ -48,6 +53,10 @@ router.get('/:id', districtController.getDistrictById);
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       200:
  *         description: List of venues in the district
@@ -84,7 +93,7 @@ router.get('/:id/venues', districtController.getDistrictVenues);
  *       403:
  *         description: Not authorized
  */
-router.post('/', protect, authorize('admin'), validateDistrict, districtController.createDistrict);
+router.post('/', protect, requirePermission('district:manage'), validateDistrict, districtController.createDistrict);
 
 /**
  * @swagger
@@ -122,7 +131,7 @@ router.post('/', protect, authorize('admin'), validateDistrict, districtControll
  *       404:
  *         description: District not found
  */
-router.put('/:id', protect, authorize('admin'), validateDistrict, districtController.updateDistrict);
+router.put('/:id', protect, requirePermission('district:manage'), validateDistrict, districtController.updateDistrict);
 
 /**
  * @swagger
@@ -148,6 +157,6 @@ router.put('/:id', protect, authorize('admin'), validateDistrict, districtContro
  *       404:
  *         description: District not found
  */
-router.delete('/:id', protect, authorize('admin'), districtController.deleteDistrict);
+router.delete('/:id', protect, requirePermission('district:manage'), districtController.deleteDistrict);
 
 module.exports = router;
\ No newline at end of file
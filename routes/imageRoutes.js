@@ -1,8 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const imageController = require('../controllers/imageController');
-const { protect, authorize } = require('../middleware/authMiddleware');
-const { validateImage } = require('../middleware/validationMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { uploadImages } = require('../middleware/uploadMiddleware');
+const {
+  validateImage,
+  validateImageUpdate,
+  validateImageOrder,
+  validateModerationNote,
+  validateModerationReason,
+} = require('../middleware/validationMiddleware');
 
 /**
  * @swagger
@@ -12,6 +19,11 @@ const { validateImage } = require('../middleware/validationMiddleware');
  *     tags: [Images]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       200:
  *         description: List of all images
@@ -20,7 +32,7 @@ const { validateImage } = require('../middleware/validationMiddleware');
  *       403:
  *         description: Not authorized
  */
-router.get('/', protect, authorize('admin'), imageController.getImages);
+router.get('/', protect, requirePermission('image:list_all'), imageController.getImages);
 
 /**
  * @swagger
@@ -34,14 +46,67 @@ router.get('/', protect, authorize('admin'), imageController.getImages);
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       200:
- *         description: List of images for the venue
+ *         description: |
+ *           List of images for the venue in gallery order. Uploaded images
+ *           include their thumbnail, card and full variants in WebP and AVIF.
  *       404:
  *         description: Venue not found
  */
 router.get('/venue/:id', imageController.getImagesByVenue);
 
+/**
+ * @swagger
+ * /api/images/venue/{id}/order:
+ *   put:
+ *     summary: Set the gallery order of a venue's images
+ *     tags: [Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image_ids
+ *             properties:
+ *               image_ids:
+ *                 type: array
+ *                 description: Every image of the venue, first to last
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Images in their new order
+ *       400:
+ *         description: The list leaves out or repeats an image
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue not found
+ */
+router.put(
+  '/venue/:id/order',
+  protect,
+  validateImageOrder,
+  imageController.reorderImages
+);
+
 /**
  * @swagger
  * /api/images/{id}:
@@ -67,12 +132,31 @@ router.get('/:id', imageController.getImageById);
  * /api/images:
  *   post:
  *     summary: Upload a new image
+ *     description: |
+ *       Upload JPEG, PNG or WebP files as multipart form data (up to 10 files
+ *       of 10 MB each), or link an external picture with image_url. Uploads
+ *       are stripped of metadata and stored as thumbnail, card and full
+ *       sizes in WebP and AVIF, listed under each image's variants. Uploads
+ *       respond with the list of created images.
  *     tags: [Images]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             required:
+ *               - venue_id
+ *               - images
+ *             properties:
+ *               venue_id:
+ *                 type: string
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
  *         application/json:
  *           schema:
  *             required:
@@ -83,6 +167,10 @@ router.get('/:id', imageController.getImageById);
  *                 type: string
  *               image_url:
  *                 type: string
+ *               caption:
+ *                 type: string
+ *               alt_text:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Image uploaded successfully
@@ -95,7 +183,7 @@ router.get('/:id', imageController.getImageById);
  *       404:
  *         description: Venue not found
  */
-router.post('/', protect, validateImage, imageController.createImage);
+router.post('/', protect, uploadImages('images'), validateImage, imageController.createImage);
 
 /**
  * @swagger
@@ -116,11 +204,13 @@ router.post('/', protect, validateImage, imageController.createImage);
  *       content:
  *         application/json:
  *           schema:
- *             required:
- *               - image_url
  *             properties:
  *               image_url:
  *                 type: string
+ *               caption:
+ *                 type: string
+ *               alt_text:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Image updated successfully
@@ -133,7 +223,7 @@ router.post('/', protect, validateImage, imageController.createImage);
  *       404:
  *         description: Image not found
  */
-router.put('/:id', protect, imageController.updateImage);
+router.put('/:id', protect, validateImageUpdate, imageController.updateImage);
 
 /**
  * @swagger
@@ -161,4 +251,114 @@ router.put('/:id', protect, imageController.updateImage);
  */
 router.delete('/:id', protect, imageController.deleteImage);
 
+/**
+ * @swagger
+ * /api/images/{id}/cover:
+ *   put:
+ *     summary: Make an image its venue's cover
+ *     description: The venue's previous cover stops being the cover.
+ *     tags: [Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Image is now the cover
+ *       400:
+ *         description: Image was rejected in moderation
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Image not found
+ *       409:
+ *         description: Another cover change for the venue is in progress
+ */
+router.put('/:id/cover', protect, imageController.setCoverImage);
+
+/**
+ * @swagger
+ * /api/images/{id}/approve:
+ *   put:
+ *     summary: Approve an image (admin only)
+ *     tags: [Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Image approved
+ *       400:
+ *         description: Image was already reviewed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Image not found
+ */
+router.put(
+  '/:id/approve',
+  protect,
+  requirePermission('image:review'),
+  validateModerationNote,
+  imageController.approveImage
+);
+
+/**
+ * @swagger
+ * /api/images/{id}/reject:
+ *   put:
+ *     summary: Reject an image and hide it from the venue (admin only)
+ *     tags: [Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Image rejected
+ *       400:
+ *         description: Image was already reviewed or reason is missing
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Image not found
+ */
+router.put(
+  '/:id/reject',
+  protect,
+  requirePermission('image:review'),
+  validateModerationReason,
+  imageController.rejectImage
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,260 @@
+const express = require('express');
+const router = express.Router();
+const ownerApplicationController = require('../controllers/ownerApplicationController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { uploadDocuments } = require('../middleware/uploadMiddleware');
+const {
+  validateOwnerApplication,
+  validateApplicationDecision,
+  validateApplicationRejection,
+} = require('../middleware/validationMiddleware');
+
+/**
+ * @swagger
+ * /api/owner-applications:
+ *   post:
+ *     summary: Apply to become a venue owner
+ *     tags: [Owner Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - business_name
+ *               - phone_number
+ *             properties:
+ *               business_name:
+ *                 type: string
+ *               phone_number:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uri
+ *     responses:
+ *       201:
+ *         description: Application submitted
+ *       400:
+ *         description: Invalid request data or an application is already pending
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/', protect, validateOwnerApplication, ownerApplicationController.createApplication);
+
+/**
+ * @swagger
+ * /api/owner-applications:
+ *   get:
+ *     summary: Get all owner applications (admin only)
+ *     tags: [Owner Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *     responses:
+ *       200:
+ *         description: List of applications
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/', protect, requirePermission('owner_application:review'), ownerApplicationController.getApplications);
+
+/**
+ * @swagger
+ * /api/owner-applications/me:
+ *   get:
+ *     summary: Get the current user's owner applications
+ *     tags: [Owner Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of the user's applications
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/me', protect, ownerApplicationController.getMyApplications);
+
+/**
+ * @swagger
+ * /api/owner-applications/{id}:
+ *   get:
+ *     summary: Get owner application by ID
+ *     tags: [Owner Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: |
+ *           Application details. Each of document_files has a url that
+ *           works for 15 minutes.
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Application not found
+ */
+router.get('/:id', protect, ownerApplicationController.getApplicationById);
+
+/**
+ * @swagger
+ * /api/owner-applications/{id}/documents:
+ *   post:
+ *     summary: Upload supporting documents to your pending application
+ *     description: |
+ *       Upload PDF, JPEG or PNG files as multipart form data (up to 10 per
+ *       application, 10 MB each). Documents are stored privately and only
+ *       reachable through the short-lived links in the response.
+ *     tags: [Owner Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             required:
+ *               - documents
+ *             properties:
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Documents added; the application with document links
+ *       400:
+ *         description: |
+ *           No or invalid files, too many documents, or the application was
+ *           already decided
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the applicant
+ *       404:
+ *         description: Application not found
+ */
+router.post(
+  '/:id/documents',
+  protect,
+  uploadDocuments(),
+  ownerApplicationController.addDocuments
+);
+
+/**
+ * @swagger
+ * /api/owner-applications/{id}/approve:
+ *   put:
+ *     summary: Approve an owner application (admin only)
+ *     description: The applicant becomes an owner.
+ *     tags: [Owner Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Application approved
+ *       400:
+ *         description: Application was already decided
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Application not found
+ */
+router.put(
+  '/:id/approve',
+  protect,
+  requirePermission('owner_application:review'),
+  validateApplicationDecision,
+  ownerApplicationController.approveApplication
+);
+
+/**
+ * @swagger
+ * /api/owner-applications/{id}/reject:
+ *   put:
+ *     summary: Reject an owner application (admin only)
+ *     tags: [Owner Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Application rejected
+ *       400:
+ *         description: Missing reason or application was already decided
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Application not found
+ */
+router.put(
+  '/:id/reject',
+  protect,
+  requirePermission('owner_application:review'),
+  validateApplicationRejection,
+  ownerApplicationController.rejectApplication
+);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+
+/**
+ * @swagger
+ * /api/payments/webhook/{provider}:
+ *   post:
+ *     summary: Payment provider callback
+ *     description: |
+ *       Verifies the provider's signature before updating anything. Repeated
+ *       deliveries for an invoice that is already settled are acknowledged
+ *       without changes.
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: fake
+ *     responses:
+ *       200:
+ *         description: Callback processed
+ *       400:
+ *         description: Paid amount does not match the invoice
+ *       401:
+ *         description: Invalid signature
+ *       404:
+ *         description: Unknown provider or invoice
+ */
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+/**
+ * @swagger
+ * /api/payments/fake/{invoiceId}/simulate:
+ *   post:
+ *     summary: Simulate a callback from the fake payment provider
+ *     description: Not available in production.
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [success, failure, timeout]
+ *                 default: success
+ *     responses:
+ *       200:
+ *         description: Signed callback and its result
+ *       400:
+ *         description: Unknown outcome
+ *       404:
+ *         description: Invoice not found
+ */
+router.post('/fake/:invoiceId/simulate', paymentController.simulateFakePayment);
+
+module.exports = router;
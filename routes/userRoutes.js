@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 const { validateUser } = require('../middleware/validationMiddleware');
 
 /**
@@ -12,6 +12,11 @@ const { validateUser } = require('../middleware/validationMiddleware');
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       200:
  *         description: List of users
@@ -20,7 +25,7 @@ const { validateUser } = require('../middleware/validationMiddleware');
  *       403:
  *         description: Not authorized
  */
-router.get('/', protect, authorize('admin'), userController.getUsers);
+router.get('/', protect, requirePermission('user:manage'), userController.getUsers);
 
 /**
  * @swagger
@@ -46,7 +51,7 @@ router.get('/', protect, authorize('admin'), userController.getUsers);
  *       404:
  *         description: User not found
  */
-router.get('/:id', protect, authorize('admin'), userController.getUserById);
+router.get('/:id', protect, requirePermission('user:manage'), userController.getUserById);
 
 /**
  * @swagger
@@ -89,7 +94,7 @@ router.get('/:id', protect, authorize('admin'), userController.getUserById);
  *       403:
  *         description: Not authorized
  */
-router.post('/', protect, authorize('admin'), validateUser, userController.createUser);
+router.post('/', protect, requirePermission('user:manage'), validateUser, userController.createUser);
 
 /**
  * @swagger
@@ -132,7 +137,7 @@ router.post('/', protect, authorize('admin'), validateUser, userController.creat
  *       404:
  *         description: User not found
  */
-router.put('/:id', protect, authorize('admin'), userController.updateUser);
+router.put('/:id', protect, requirePermission('user:manage'), userController.updateUser);
 
 /**
  * @swagger
@@ -158,6 +163,6 @@ router.put('/:id', protect, authorize('admin'), userController.updateUser);
  *       404:
  *         description: User not found
  */
-router.delete('/:id', protect, authorize('admin'), userController.deleteUser);
+router.delete('/:id', protect, requirePermission('user:manage'), userController.deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,20 @@
 const express = require("express");
 const router = express.Router();
 const venueController = require("../controllers/venueController");
-const { protect, authorize } = require("../middleware/authMiddleware");
-const { validateVenue } = require("../middleware/validationMiddleware");
+const venueModerationController = require("../controllers/venueModerationController");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { uploadImages } = require("../middleware/uploadMiddleware");
+const {
+  validateVenue,
+  validateVenueSearch,
+  validateAvailabilityQuery,
+  validateBlockedDate,
+  validatePricing,
+  validateQuote,
+  validateStaffInvite,
+  validateModerationNote,
+  validateModerationReason,
+} = require("../middleware/validationMiddleware");
 
 /**
  * @swagger
@@ -19,6 +31,8 @@ const { validateVenue } = require("../middleware/validationMiddleware");
  *         name: status
  *         schema:
  *           type: string
+ *           enum: [tasdiqlanmagan, tasdiqlangan, rad_etilgan, tuzatish_kerak]
+ *         description: Waiting for review, approved, rejected or sent back for changes
  *       - in: query
  *         name: minCapacity
  *         schema:
@@ -35,11 +49,31 @@ const { validateVenue } = require("../middleware/validationMiddleware");
  *         name: maxPrice
  *         schema:
  *           type: number
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only return approved venues that are free on this date
+ *       - in: query
+ *         name: slot
+ *         schema:
+ *           type: string
+ *         description: Time slot that must be free on the requested date (defaults to full_day)
+ *       - in: query
+ *         name: guests
+ *         schema:
+ *           type: integer
+ *         description: Guest count; filters by capacity and adds estimated_total to each venue
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       200:
- *         description: List of venues
+ *         description: List of venues, each with its cover_image
  */
-router.get("/", venueController.getVenues);
+router.get("/", validateVenueSearch, venueController.getVenues);
 
 /**
  * @swagger
@@ -49,14 +83,88 @@ router.get("/", venueController.getVenues);
  *     tags: [Venues]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       200:
- *         description: List of venues owned by the authenticated user
+ *         description: |
+ *           List of venues owned by the authenticated user, each with its
+ *           cover_image
  *       401:
  *         description: Not authenticated
  */
 router.get("/owner", protect, venueController.getVenuesByOwner);
 
+/**
+ * @swagger
+ * /api/venues/owner/stats:
+ *   get:
+ *     summary: Get booking stats across the authenticated owner's venues
+ *     description: |
+ *       Same figures as GET /api/venues/{id}/stats summed over every venue the
+ *       user owns, plus a by_venue breakdown.
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day, defaults to the first day of the current month
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (included), defaults to the end of the month of from
+ *     responses:
+ *       200:
+ *         description: Booking stats
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Not authenticated
+ */
+router.get(
+  "/owner/stats",
+  protect,
+  validateAvailabilityQuery,
+  venueController.getOwnerVenueStats
+);
+
+/**
+ * @swagger
+ * /api/venues/managed:
+ *   get:
+ *     summary: Get venues the authenticated user is staff of
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, invited]
+ *           default: active
+ *         description: invited lists invitations waiting to be accepted
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *     responses:
+ *       200:
+ *         description: List of venues
+ *       401:
+ *         description: Not authenticated
+ */
+router.get("/managed", protect, venueController.getManagedVenues);
+
 /**
  * @swagger
  * /api/venues/{id}:
@@ -71,17 +179,61 @@ router.get("/owner", protect, venueController.getVenuesByOwner);
  *           type: string
  *     responses:
  *       200:
- *         description: Venue details
+ *         description: |
+ *           Venue details. bookings lists the taken dates and slots of
+ *           pending and confirmed bookings, without any client details.
  *       404:
  *         description: Venue not found
  */
 router.get("/:id", venueController.getVenueById);
 
+/**
+ * @swagger
+ * /api/venues/{id}/availability:
+ *   get:
+ *     summary: Get the availability calendar of a venue
+ *     description: Returns a per-day and per-slot free/booked/blocked map without any client details
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the range (defaults to today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the range (defaults to 30 days after from)
+ *     responses:
+ *       200:
+ *         description: Availability calendar
+ *       400:
+ *         description: Invalid date range
+ *       404:
+ *         description: Venue not found
+ */
+router.get(
+  "/:id/availability",
+  validateAvailabilityQuery,
+  venueController.getVenueAvailability
+);
+
 /**
  * @swagger
  * /api/venues:
  *   post:
  *     summary: Create a new venue
+ *     description: |
+ *       Send JSON, or multipart form data to upload up to 10 JPEG, PNG or
+ *       WebP photos (10 MB each) with the venue.
  *     tags: [Venues]
  *     security:
  *       - bearerAuth: []
@@ -112,9 +264,51 @@ router.get("/:id", venueController.getVenueById);
  *                 minimum: 0
  *               phone_number:
  *                 type: string
- *               status:
+ *               time_slots:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     start_time:
+ *                       type: string
+ *                       example: "11:00"
+ *                     end_time:
+ *                       type: string
+ *                       example: "16:00"
+ *         multipart/form-data:
+ *           schema:
+ *             required:
+ *               - name
+ *               - district_id
+ *               - address
+ *               - capacity
+ *               - price_seat
+ *               - phone_number
+ *             properties:
+ *               name:
+ *                 type: string
+ *               district_id:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *               price_seat:
+ *                 type: number
+ *                 minimum: 0
+ *               phone_number:
+ *                 type: string
+ *               time_slots:
  *                 type: string
- *                 enum: [tasdiqlangan, tasdiqlanmagan]
+ *                 description: JSON-encoded time slots array
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
  *     responses:
  *       201:
  *         description: Venue created successfully
@@ -128,7 +322,8 @@ router.get("/:id", venueController.getVenueById);
 router.post(
   "/",
   protect,
-  authorize("owner", "admin"),
+  requirePermission("venue:create"),
+  uploadImages("images"),
   validateVenue,
   venueController.createVenue
 );
@@ -138,6 +333,11 @@ router.post(
  * /api/venues/{id}:
  *   put:
  *     summary: Update venue
+ *     description: |
+ *       Status is changed through the moderation endpoints. On an approved
+ *       venue, changes by the owner to name, district_id, address, capacity
+ *       or phone_number are returned as a pending revision for an admin to
+ *       review; the live venue keeps its approved values until then.
  *     tags: [Venues]
  *     security:
  *       - bearerAuth: []
@@ -167,12 +367,22 @@ router.post(
  *                 minimum: 0
  *               phone_number:
  *                 type: string
- *               status:
- *                 type: string
- *                 enum: [tasdiqlangan, tasdiqlanmagan]
+ *               time_slots:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     start_time:
+ *                       type: string
+ *                       example: "11:00"
+ *                     end_time:
+ *                       type: string
+ *                       example: "16:00"
  *     responses:
  *       200:
- *         description: Venue updated successfully
+ *         description: Venue updated successfully, with the pending revision if one was created
  *       400:
  *         description: Invalid request data
  *       401:
@@ -224,21 +434,721 @@ router.delete("/:id", protect, venueController.deleteVenue);
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Venue approved successfully
+ *       400:
+ *         description: The venue cannot be approved from its current status
  *       401:
  *         description: Not authenticated
  *       403:
  *         description: Not authorized
  *       404:
  *         description: Venue not found
+ *       409:
+ *         description: The venue was moderated by someone else in the meantime
  */
 router.put(
   "/:id/approve",
   protect,
-  authorize("admin"),
-  venueController.approveVenue
+  requirePermission("venue:approve"),
+  validateModerationNote,
+  venueModerationController.approveVenue
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/reject:
+ *   put:
+ *     summary: Reject a venue with a reason (admin only)
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Venue rejected
+ *       400:
+ *         description: Missing reason or the venue cannot be rejected from its current status
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue not found
+ *       409:
+ *         description: The venue was moderated by someone else in the meantime
+ */
+router.put(
+  "/:id/reject",
+  protect,
+  requirePermission("venue:approve"),
+  validateModerationReason,
+  venueModerationController.rejectVenue
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/request-changes:
+ *   put:
+ *     summary: Send a venue back to the owner for changes (admin only)
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Changes requested
+ *       400:
+ *         description: Missing reason or the venue cannot be sent back from its current status
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue not found
+ *       409:
+ *         description: The venue was moderated by someone else in the meantime
+ */
+router.put(
+  "/:id/request-changes",
+  protect,
+  requirePermission("venue:approve"),
+  validateModerationReason,
+  venueModerationController.requestVenueChanges
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/resubmit:
+ *   put:
+ *     summary: Resubmit a rejected or sent back venue for review
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Venue submitted for review
+ *       400:
+ *         description: The venue is not rejected or waiting for changes
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue not found
+ *       409:
+ *         description: The venue was moderated by someone else in the meantime
+ */
+router.put(
+  "/:id/resubmit",
+  protect,
+  validateModerationNote,
+  venueModerationController.resubmitVenue
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/revisions:
+ *   get:
+ *     summary: Get revisions proposed for a venue (owner or admin)
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of revisions, newest first
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue not found
+ */
+router.get(
+  "/:id/revisions",
+  protect,
+  venueModerationController.getVenueRevisions
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/revisions/{revisionId}/approve:
+ *   put:
+ *     summary: Approve a venue revision and apply it (admin only)
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Revision approved and applied
+ *       400:
+ *         description: Revision was already decided
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue or revision not found
+ */
+router.put(
+  "/:id/revisions/:revisionId/approve",
+  protect,
+  requirePermission("venue:approve"),
+  validateModerationNote,
+  venueModerationController.approveRevision
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/revisions/{revisionId}/reject:
+ *   put:
+ *     summary: Reject a venue revision (admin only)
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Revision rejected
+ *       400:
+ *         description: Missing reason or revision was already decided
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue or revision not found
+ */
+router.put(
+  "/:id/revisions/:revisionId/reject",
+  protect,
+  requirePermission("venue:approve"),
+  validateModerationReason,
+  venueModerationController.rejectRevision
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/blocked-dates:
+ *   post:
+ *     summary: Block a date or a single time slot of a venue
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               slot_name:
+ *                 type: string
+ *                 description: Leave empty to block the whole day
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Date blocked successfully
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue not found
+ */
+router.post(
+  "/:id/blocked-dates",
+  protect,
+  validateBlockedDate,
+  venueController.addBlockedDate
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/blocked-dates/{blockId}:
+ *   delete:
+ *     summary: Remove a blocked date from a venue
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: blockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Blocked date removed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue or blocked date not found
+ */
+router.delete(
+  "/:id/blocked-dates/:blockId",
+  protect,
+  venueController.removeBlockedDate
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/pricing:
+ *   put:
+ *     summary: Update the pricing rules of a venue
+ *     description: |
+ *       A date override replaces the seat price for that day. Otherwise the
+ *       weekday and season multipliers are applied to price_seat. New bookings
+ *       store the resulting price, so later changes do not affect them.
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               weekday_multipliers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     day:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 6
+ *                       description: 0 is Sunday
+ *                     multiplier:
+ *                       type: number
+ *                       example: 1.2
+ *               seasons:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     start:
+ *                       type: string
+ *                       example: "08-01"
+ *                     end:
+ *                       type: string
+ *                       example: "10-31"
+ *                     multiplier:
+ *                       type: number
+ *               date_overrides:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       format: date
+ *                     price_seat:
+ *                       type: number
+ *                     label:
+ *                       type: string
+ *               min_guests:
+ *                 type: integer
+ *                 minimum: 0
+ *               extras:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     price:
+ *                       type: number
+ *                     per_guest:
+ *                       type: boolean
+ *               discounts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     min_guests:
+ *                       type: integer
+ *                     percent:
+ *                       type: number
+ *               deposit_percent:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *     responses:
+ *       200:
+ *         description: Pricing rules updated
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue not found
+ */
+router.put(
+  "/:id/pricing",
+  protect,
+  validatePricing,
+  venueController.updateVenuePricing
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/quote:
+ *   post:
+ *     summary: Price a prospective booking without creating it
+ *     description: |
+ *       Runs the same checks as creating a booking (approval, capacity, blocked
+ *       dates and slot conflicts) and returns an itemised breakdown with seats,
+ *       extras, discounts and the deposit due.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             required:
+ *               - reservation_date
+ *               - guest_count
+ *             properties:
+ *               reservation_date:
+ *                 type: string
+ *                 format: date
+ *               slot:
+ *                 type: string
+ *               guest_count:
+ *                 type: integer
+ *                 minimum: 1
+ *               extras:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Itemised quote
+ *       400:
+ *         description: Venue cannot be booked as requested
+ *       404:
+ *         description: Venue not found
+ */
+router.post("/:id/quote", validateQuote, venueController.getVenueQuote);
+
+/**
+ * @swagger
+ * /api/venues/{id}/staff:
+ *   get:
+ *     summary: Get venue staff and pending invitations (owner or admin)
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of staff members
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue not found
+ *   post:
+ *     summary: Invite a user to the venue staff (owner or admin)
+ *     description: |
+ *       The user is notified and gets the role's rights once they accept.
+ *       Managers can view and confirm bookings and record payments, but
+ *       cannot edit the venue, its prices or its staff.
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [manager]
+ *                 default: manager
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *       400:
+ *         description: Invalid request data or user already invited
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue or user not found
+ */
+router.get("/:id/staff", protect, venueController.getVenueStaff);
+router.post(
+  "/:id/staff",
+  protect,
+  validateStaffInvite,
+  venueController.inviteStaff
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/staff/accept:
+ *   post:
+ *     summary: Accept an invitation to the venue staff
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Venue or invitation not found
+ */
+router.post("/:id/staff/accept", protect, venueController.acceptStaffInvite);
+
+/**
+ * @swagger
+ * /api/venues/{id}/staff/{userId}:
+ *   delete:
+ *     summary: Revoke a staff member or invitation
+ *     description: Owners and admins can remove anyone; members can remove themselves.
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Staff member removed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue or staff member not found
+ */
+router.delete("/:id/staff/:userId", protect, venueController.removeStaff);
+
+/**
+ * @swagger
+ * /api/venues/{id}/stats:
+ *   get:
+ *     summary: Get booking stats of a venue (owner or admin)
+ *     description: |
+ *       Confirmed, completed and no-show bookings count as occupying their
+ *       day. Returns occupancy rate, booked and free days, average guest
+ *       count, estimated revenue (guest count times the seat price of
+ *       confirmed and completed bookings), breakdowns by weekday and month,
+ *       and all booking requests per status as a measure of demand.
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day, defaults to the first day of the current month
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (included), defaults to the end of the month of from
+ *     responses:
+ *       200:
+ *         description: Booking stats
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Venue not found
+ */
+router.get(
+  "/:id/stats",
+  protect,
+  validateAvailabilityQuery,
+  venueController.getVenueStats
 );
 
 module.exports = router;
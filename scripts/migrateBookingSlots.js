@@ -0,0 +1,49 @@
+// Moves bookings created before venues had time slots onto the default
+// full-day slot and drops the old one-booking-per-date unique index.
+// Usage: npm run migrate:booking-slots
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../config/db');
+const Booking = require('../models/bookingModel');
+const { FULL_DAY_SLOT } = require('../utils/timeSlots');
+
+dotenv.config();
+
+const migrate = async () => {
+  await connectDB();
+
+  const indexes = await Booking.collection.indexes();
+  const legacyIndex = indexes.find(
+    (index) =>
+      index.unique &&
+      index.key.venue_id === 1 &&
+      index.key.reservation_date === 1 &&
+      Object.keys(index.key).length === 2
+  );
+
+  if (legacyIndex) {
+    await Booking.collection.dropIndex(legacyIndex.name);
+    console.log(`Dropped unique index ${legacyIndex.name}`);
+  }
+
+  const result = await Booking.updateMany(
+    { slot_name: { $exists: false } },
+    {
+      $set: {
+        slot_name: FULL_DAY_SLOT.name,
+        start_time: FULL_DAY_SLOT.start_time,
+        end_time: FULL_DAY_SLOT.end_time,
+      },
+    }
+  );
+  console.log(`Moved ${result.modifiedCount} bookings to the full-day slot`);
+
+  await Booking.syncIndexes();
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error('Migration failed', err);
+    process.exit(1);
+  });
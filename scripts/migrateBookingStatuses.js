@@ -0,0 +1,45 @@
+// Maps the legacy booking statuses onto the booking lifecycle:
+// "endi bo'ladigan" becomes confirmed and "bo'lib o'tgan" becomes completed.
+// Usage: npm run migrate:booking-statuses
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../config/db');
+const Booking = require('../models/bookingModel');
+const { BOOKING_STATUS } = require('../utils/bookingStatus');
+
+dotenv.config();
+
+const LEGACY_STATUSES = {
+  "endi bo'ladigan": BOOKING_STATUS.CONFIRMED,
+  "bo'lib o'tgan": BOOKING_STATUS.COMPLETED,
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  for (const [legacy, status] of Object.entries(LEGACY_STATUSES)) {
+    const result = await Booking.collection.updateMany(
+      { status: legacy },
+      {
+        $set: { status },
+        $push: {
+          status_history: {
+            from: legacy,
+            to: status,
+            actor_role: 'system',
+            reason: 'Migrated from legacy status',
+            changed_at: new Date(),
+          },
+        },
+      }
+    );
+    console.log(`Moved ${result.modifiedCount} bookings from ${legacy} to ${status}`);
+  }
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error('Migration failed', err);
+    process.exit(1);
+  });
@@ -18,7 +18,12 @@ const venueRoutes = require("./routes/venueRoutes");
 const bookingRoutes = require("./routes/bookingRoutes");
 const districtRoutes = require("./routes/districtRoutes");
 const imageRoutes = require("./routes/imageRoutes");
+const paymentRoutes = require("./routes/paymentRoutes");
+const ownerApplicationRoutes = require("./routes/ownerApplicationRoutes");
+const adminRoutes = require("./routes/adminRoutes");
 const { errorHandler } = require("./middleware/errorMiddleware");
+const { startBookingRolloverJob } = require("./jobs/bookingRollover");
+const { getStorage } = require("./providers/storage");
 
 // Initialize Express app
 const app = express();
@@ -39,6 +44,32 @@ const swaggerOptions = {
       },
     ],
     components: {
+      parameters: {
+        page: {
+          in: "query",
+          name: "page",
+          schema: { type: "integer", minimum: 1, default: 1 },
+          description: "Page number",
+        },
+        limit: {
+          in: "query",
+          name: "limit",
+          schema: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+          description: "Items per page",
+        },
+        sort: {
+          in: "query",
+          name: "sort",
+          schema: { type: "string" },
+          description: "Comma-separated fields, prefix with - for descending (e.g. -price_seat,name)",
+        },
+        fields: {
+          in: "query",
+          name: "fields",
+          schema: { type: "string" },
+          description: "Comma-separated fields to include (e.g. name,capacity)",
+        },
+      },
       securitySchemes: {
         bearerAuth: {
           type: "http",
@@ -58,6 +89,11 @@ const swaggerOptions = {
 
 const swaggerDocs = swaggerJsDoc(swaggerOptions);
 
+// Number of proxies in front of the app, so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY));
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
@@ -72,6 +108,13 @@ const limiter = rateLimit({
 });
 app.use("/api", limiter);
 
+// Uploaded files kept on local disk are served by the app itself; other
+// storage drivers serve them from their own URLs
+const storage = getStorage();
+if (storage.serve) {
+  app.use(storage.PUBLIC_PATH, storage.serve);
+}
+
 // API documentation route
 app.use("/docs", swaggerUI.serve, swaggerUI.setup(swaggerDocs));
 
@@ -82,6 +125,9 @@ app.use("/api/venues", venueRoutes);
 app.use("/api/bookings", bookingRoutes);
 app.use("/api/districts", districtRoutes);
 app.use("/api/images", imageRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/owner-applications", ownerApplicationRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -98,6 +144,7 @@ mongoose
   .connect(process.env.MONGODB_URI)
   .then(() => {
     console.log("Connected to MongoDB");
+    startBookingRolloverJob();
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
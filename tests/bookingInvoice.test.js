@@ -0,0 +1,77 @@
+jest.mock('../utils/onlinePayments', () => ({
+  ...jest.requireActual('../utils/onlinePayments'),
+  createInvoice: jest.fn(),
+}));
+
+const Booking = require('../models/bookingModel');
+const Venue = require('../models/venueModel');
+const BookingLock = require('../models/bookingLockModel');
+const AppError = require('../utils/appError');
+const { createInvoice } = require('../utils/onlinePayments');
+const { createBooking } = require('../controllers/bookingController');
+
+describe('createBooking with pay_online', () => {
+  const booking = { _id: 'booking-1', total_amount: 10000 };
+
+  const run = async () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await createBooking(
+      {
+        body: { venue_id: 'venue-1', reservation_date: '2999-01-07', pay_online: true },
+        user: { _id: 'user-1', id: 'user-1', role: 'user' },
+      },
+      res,
+      next
+    );
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Venue, 'findById').mockResolvedValue({ _id: 'venue-1' });
+    // The booking itself is made inside the lock
+    jest.spyOn(BookingLock, 'hold').mockResolvedValue(booking);
+    jest.spyOn(Booking, 'create');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('returns the booking with its deposit invoice', async () => {
+    createInvoice.mockResolvedValue({ _id: 'payment-1' });
+
+    const { res, next } = await run();
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      data: booking,
+      payment: { _id: 'payment-1' },
+    });
+  });
+
+  it('keeps the booking and reports why the invoice failed', async () => {
+    createInvoice.mockRejectedValue(new AppError('Online payments are not configured', 503));
+
+    const { res, next } = await run();
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      data: booking,
+      invoice_error: 'Online payments are not configured',
+    });
+  });
+
+  it('does not pass on unexpected error details', async () => {
+    createInvoice.mockRejectedValue(new Error('socket hang up'));
+
+    const { res } = await run();
+
+    expect(res.json.mock.calls[0][0].invoice_error).toBe(
+      'The invoice could not be opened, please try again'
+    );
+  });
+});
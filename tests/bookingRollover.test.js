@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/bookingModel');
+const AuditLog = require('../models/auditLogModel');
+const JobLock = require('../models/jobLockModel');
+const { runBookingRollover } = require('../jobs/bookingRollover');
+const { BOOKING_STATUS } = require('../utils/bookingStatus');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newBooking = (status, daysAgo) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status,
+  reservation_date: new Date(Date.now() - daysAgo * DAY_MS),
+});
+
+describe('runBookingRollover', () => {
+  let bookings;
+  let entries;
+
+  beforeEach(() => {
+    bookings = [];
+    entries = [];
+
+    jest.spyOn(JobLock, 'acquire').mockResolvedValue(true);
+    jest.spyOn(JobLock, 'release').mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Oldest first, leaving out the ones the run already gave up on
+    jest.spyOn(Booking, 'find').mockImplementation((filter) => {
+      const query = {
+        limit: (size) => {
+          query.size = size;
+          return query;
+        },
+        select: () => query,
+        sort: () => query,
+        lean: async () =>
+          bookings
+            .filter(
+              (booking) =>
+                filter.status.$in.includes(booking.status) &&
+                !filter._id.$nin.some((id) => id.equals(booking._id))
+            )
+            .slice(0, query.size),
+      };
+      return query;
+    });
+    jest
+      .spyOn(Booking, 'findOneAndUpdate')
+      .mockImplementation(async (filter, update) => {
+        const booking = bookings.find((item) => item._id.equals(filter._id));
+        if (booking.status !== filter.status) return null;
+        booking.status = update.$set.status;
+        return booking;
+      });
+    jest.spyOn(AuditLog, 'create').mockImplementation(async (entry) => {
+      const created = { ...entry, _id: new mongoose.Types.ObjectId() };
+      entries.push(created);
+      return created;
+    });
+    jest.spyOn(AuditLog, 'deleteOne').mockImplementation(async ({ _id }) => {
+      entries = entries.filter((entry) => !entry._id.equals(_id));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('skips a booking it cannot move and carries on with the rest', async () => {
+    // Dated in the future, so it cannot be completed yet
+    const stuck = newBooking(BOOKING_STATUS.CONFIRMED, -1);
+    const past = newBooking(BOOKING_STATUS.PENDING, 2);
+    bookings.push(stuck, past);
+
+    const result = await runBookingRollover({ batchSize: 1 });
+
+    expect(result).toEqual({ skipped: false, updated: 1, failed: 1 });
+    expect(stuck.status).toBe(BOOKING_STATUS.CONFIRMED);
+    expect(past.status).toBe(BOOKING_STATUS.CANCELLED);
+    expect(entries.map((entry) => entry.entity_id)).toEqual([past._id]);
+    expect(JobLock.release).toHaveBeenCalled();
+  });
+
+  it('writes the audit entry before moving the booking', async () => {
+    const past = newBooking(BOOKING_STATUS.CONFIRMED, 2);
+    bookings.push(past);
+
+    await runBookingRollover();
+
+    expect(AuditLog.create.mock.invocationCallOrder[0]).toBeLessThan(
+      Booking.findOneAndUpdate.mock.invocationCallOrder[0]
+    );
+    expect(entries).toHaveLength(1);
+    expect(entries[0].meta).toMatchObject({
+      from: BOOKING_STATUS.CONFIRMED,
+      to: BOOKING_STATUS.COMPLETED,
+    });
+  });
+
+  it('removes the audit entry when the booking is not moved', async () => {
+    bookings.push(newBooking(BOOKING_STATUS.CONFIRMED, 2));
+    Booking.findOneAndUpdate.mockRejectedValueOnce(new Error('write failed'));
+
+    const result = await runBookingRollover();
+
+    expect(result).toEqual({ skipped: false, updated: 0, failed: 1 });
+    expect(entries).toEqual([]);
+  });
+});
@@ -0,0 +1,225 @@
+const { validationResult } = require('express-validator');
+const Booking = require('../models/bookingModel');
+const Payment = require('../models/paymentModel');
+const Venue = require('../models/venueModel');
+const BookingLock = require('../models/bookingLockModel');
+const { BOOKING_STATUS, assertTransition } = require('../utils/bookingStatus');
+const {
+  deleteBooking,
+  updateBooking,
+} = require('../controllers/bookingController');
+const {
+  validateBookingListQuery,
+} = require('../middleware/validationMiddleware');
+
+const PAST = '2020-01-01';
+const FUTURE = '2999-01-01';
+
+const newBooking = (fields = {}) =>
+  new Booking({
+    venue_id: '64b7f0c2a1b2c3d4e5f60718',
+    user_id: '64b7f0c2a1b2c3d4e5f60719',
+    reservation_date: FUTURE,
+    guest_count: 50,
+    client_phone: '+998901234567',
+    ...fields,
+  });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('assertTransition', () => {
+  it('lets the venue confirm a pending booking', () => {
+    expect(
+      assertTransition(BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, ['owner'], FUTURE)
+    ).toBe('owner');
+  });
+
+  it('does not let the client confirm their own booking', () => {
+    expect(() =>
+      assertTransition(BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, ['client'], FUTURE)
+    ).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  it('refuses moves the state machine does not have', () => {
+    expect(() =>
+      assertTransition(BOOKING_STATUS.CANCELLED, BOOKING_STATUS.CONFIRMED, ['admin'], FUTURE)
+    ).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('refuses to set a booking to the status it already has', () => {
+    expect(() =>
+      assertTransition(BOOKING_STATUS.PENDING, BOOKING_STATUS.PENDING, ['admin'], FUTURE)
+    ).toThrow('Booking is already pending');
+  });
+
+  it('only completes bookings after the reservation date', () => {
+    expect(() =>
+      assertTransition(BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.COMPLETED, ['owner'], FUTURE)
+    ).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(
+      assertTransition(BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.COMPLETED, ['owner'], PAST)
+    ).toBe('owner');
+  });
+});
+
+describe('booking.transitionTo', () => {
+  it('records who made the change', () => {
+    const booking = newBooking();
+    booking.transitionTo(BOOKING_STATUS.CANCELLED, {
+      user: { _id: booking.user_id },
+      roles: ['client'],
+      reason: 'Plans changed',
+    });
+
+    expect(booking.status).toBe(BOOKING_STATUS.CANCELLED);
+    expect(booking.status_history[0]).toMatchObject({
+      from: BOOKING_STATUS.PENDING,
+      to: BOOKING_STATUS.CANCELLED,
+      actor_role: 'client',
+      reason: 'Plans changed',
+    });
+  });
+});
+
+describe('booking.syncPayments', () => {
+  const paid = (amount) =>
+    jest
+      .spyOn(Payment, 'aggregate')
+      .mockResolvedValue([{ paid: amount, refunded: 0 }]);
+
+  it('confirms a pending booking once the deposit is paid', async () => {
+    paid(300);
+    const booking = newBooking({ total_amount: 1000, deposit_required: 300 });
+    jest.spyOn(booking, 'save').mockResolvedValue(booking);
+
+    await booking.syncPayments();
+
+    expect(booking.status).toBe(BOOKING_STATUS.CONFIRMED);
+  });
+
+  it('leaves a reopened booking pending when asked to', async () => {
+    paid(300);
+    const booking = newBooking({ total_amount: 1000, deposit_required: 300 });
+    jest.spyOn(booking, 'save').mockResolvedValue(booking);
+
+    await booking.syncPayments({ autoConfirm: false });
+
+    expect(booking.status).toBe(BOOKING_STATUS.PENDING);
+    expect(booking.amount_paid).toBe(300);
+  });
+});
+
+describe('deleteBooking', () => {
+  const run = async (booking, hasPayments = false) => {
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking);
+    jest.spyOn(Payment, 'exists').mockResolvedValue(hasPayments ? { _id: 1 } : null);
+    jest.spyOn(booking, 'deleteOne').mockResolvedValue({});
+
+    const next = jest.fn();
+    const res = { json: jest.fn() };
+    await deleteBooking(
+      { params: { id: booking._id }, user: { _id: booking.user_id, role: 'user' } },
+      res,
+      next
+    );
+    return { next, res };
+  };
+
+  it('removes a pending booking without payments', async () => {
+    const booking = newBooking();
+    const { next, res } = await run(booking);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(booking.deleteOne).toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+  });
+
+  it('keeps a confirmed booking', async () => {
+    const booking = newBooking({ status: BOOKING_STATUS.CONFIRMED });
+    const { next } = await run(booking);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    expect(booking.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('keeps a booking that has payment records', async () => {
+    const booking = newBooking();
+    const { next } = await run(booking, true);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    expect(booking.deleteOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateBooking', () => {
+  it('sends a confirmed booking back to pending when it moves', async () => {
+    const booking = newBooking({ status: BOOKING_STATUS.CONFIRMED });
+    const venue = new Venue({
+      _id: booking.venue_id,
+      name: 'Hall',
+      status: 'tasdiqlangan',
+      time_slots: [{ name: 'evening', start_time: '17:00', end_time: '23:00' }],
+    });
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking);
+    jest.spyOn(Venue, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue(venue),
+    });
+    jest.spyOn(Booking, 'findConflict').mockResolvedValue(null);
+    jest.spyOn(BookingLock, 'hold').mockImplementation((id, date, fn) => fn());
+    const updated = { syncPayments: jest.fn() };
+    const findByIdAndUpdate = jest
+      .spyOn(Booking, 'findByIdAndUpdate')
+      .mockReturnValue({
+        populate: () => ({ populate: () => Promise.resolve(updated) }),
+      });
+
+    const next = jest.fn();
+    await updateBooking(
+      {
+        params: { id: booking._id },
+        body: { slot: 'evening', $set: { amount_paid: 1e9 } },
+        user: { _id: booking.user_id, role: 'user' },
+      },
+      { json: jest.fn() },
+      next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    const update = findByIdAndUpdate.mock.calls[0][1];
+    expect(update.status).toBe(BOOKING_STATUS.PENDING);
+    expect(update.$push.status_history).toMatchObject({
+      from: BOOKING_STATUS.CONFIRMED,
+      to: BOOKING_STATUS.PENDING,
+      actor_role: 'client',
+    });
+    expect(update.$set).toBeUndefined();
+  });
+});
+
+describe('validateBookingListQuery', () => {
+  const validate = async (query) => {
+    const req = { query };
+    await Promise.all(validateBookingListQuery.map((rule) => rule.run(req)));
+    return validationResult(req).array();
+  };
+
+  it('accepts known statuses', async () => {
+    await expect(
+      validate({ status: 'confirmed', payment_status: 'deposit_paid' })
+    ).resolves.toEqual([]);
+  });
+
+  it('refuses query operators in place of a status', async () => {
+    const errors = await validate({
+      status: { $ne: 'cancelled' },
+      payment_status: { $gt: '' },
+    });
+
+    expect(errors.map((error) => error.path)).toEqual([
+      'status',
+      'payment_status',
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+const { Writable } = require('stream');
+const { writeCsv, writeXlsx } = require('../utils/exporters');
+
+const COLUMNS = [
+  { key: 'name', header: 'Name' },
+  { key: 'guests', header: 'Guests' },
+];
+
+// A response whose client reads nothing, so it never drains
+const stalledResponse = () =>
+  new Writable({
+    highWaterMark: 16,
+    write() {},
+  });
+
+// Endless rows behind a cursor-like close()
+const endlessRows = () => {
+  let closed = false;
+  return {
+    close: jest.fn(async () => {
+      closed = true;
+    }),
+    async *[Symbol.asyncIterator]() {
+      let index = 0;
+      while (!closed) {
+        index += 1;
+        yield { name: `Hall ${index}`, guests: index };
+      }
+    },
+  };
+};
+
+describe('exporters', () => {
+  it('writes the header and every row as CSV', async () => {
+    const chunks = [];
+    const res = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+    });
+
+    await writeCsv(res, COLUMNS, [
+      { name: '=SUM(A1)', guests: 10 },
+      { name: 'Hall, "Big"', guests: 20 },
+    ]);
+
+    expect(Buffer.concat(chunks).toString()).toBe(
+      'Name,Guests\r\n\'=SUM(A1),10\r\n"Hall, ""Big""",20\r\n',
+    );
+  });
+
+  it.each([
+    ['CSV', (res, rows) => writeCsv(res, COLUMNS, rows)],
+    ['XLSX', (res, rows) => writeXlsx(res, COLUMNS, rows, 'Halls')],
+  ])('stops a %s export and closes the rows when the client aborts', async (format, write) => {
+    const res = stalledResponse();
+    const rows = endlessRows();
+
+    const done = write(res, rows);
+    await new Promise((resolve) => setImmediate(resolve));
+    res.destroy();
+
+    await expect(done).resolves.toBeUndefined();
+    expect(rows.close).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,148 @@
+const Image = require('../models/imageModel');
+
+const VENUE = '64b7f0c2a1b2c3d4e5f60818';
+const ID = (n) => `64b7f0c2a1b2c3d4e5f6080${n}`;
+
+// The images of one venue kept in memory, with the unique cover index
+let stored;
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    const value = String(doc[key]);
+    if (condition && condition.$ne !== undefined) {
+      return value !== String(condition.$ne);
+    }
+    return value === String(condition);
+  });
+
+const apply = (doc, update) => {
+  const next = { ...doc, ...update };
+  const clash = stored.some(
+    (other) =>
+      other._id !== doc._id &&
+      other.is_cover &&
+      next.is_cover &&
+      String(other.venue_id) === String(next.venue_id)
+  );
+  if (clash) {
+    throw Object.assign(new Error('E11000 duplicate key error'), {
+      code: 11000,
+    });
+  }
+  Object.assign(doc, update);
+};
+
+const byPosition = (a, b) => a.position - b.position || a._id.localeCompare(b._id);
+
+beforeEach(() => {
+  stored = [
+    { _id: ID(1), position: 0, is_cover: true, status: 'approved' },
+    { _id: ID(2), position: 1, is_cover: false, status: 'approved' },
+    { _id: ID(3), position: 2, is_cover: false, status: 'pending' },
+  ].map((image) => ({ venue_id: VENUE, image_url: 'https://example.com/a.jpg', ...image }));
+
+  jest.spyOn(Image, 'updateMany').mockImplementation(async (filter, update) => {
+    stored.filter((doc) => matches(doc, filter)).forEach((doc) => apply(doc, update));
+  });
+  jest.spyOn(Image, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = stored.find((image) => matches(image, filter));
+    if (doc) apply(doc, update);
+  });
+  jest.spyOn(Image, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const doc = stored.find((image) => matches(image, filter));
+    if (!doc) return null;
+    apply(doc, update);
+    return Image.hydrate({ ...doc });
+  });
+  jest.spyOn(Image, 'exists').mockImplementation(async (filter) =>
+    stored.some((doc) => matches(doc, filter))
+  );
+  jest.spyOn(Image, 'findOne').mockImplementation((filter) => ({
+    sort: async () => stored.filter((doc) => matches(doc, filter)).sort(byPosition)[0] || null,
+  }));
+  jest.spyOn(Image, 'find').mockImplementation((filter) => ({
+    select: async () => stored.filter((doc) => matches(doc, filter)),
+  }));
+  jest.spyOn(Image, 'bulkWrite').mockImplementation(async (operations) => {
+    operations.forEach(({ updateOne }) => {
+      const doc = stored.find((image) => matches(image, updateOne.filter));
+      if (doc) apply(doc, updateOne.update);
+    });
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const covers = () => stored.filter((doc) => doc.is_cover).map((doc) => doc._id);
+const load = (id) => Image.hydrate({ ...stored.find((doc) => doc._id === id) });
+
+describe('image.makeCover', () => {
+  it('moves the cover to the image', async () => {
+    const image = await load(ID(2)).makeCover();
+
+    expect(image.is_cover).toBe(true);
+    expect(covers()).toEqual([ID(2)]);
+  });
+
+  it('refuses a rejected image', async () => {
+    stored[1].status = 'rejected';
+
+    await expect(load(ID(2)).makeCover()).rejects.toMatchObject({ statusCode: 400 });
+    expect(covers()).toEqual([ID(1)]);
+  });
+
+  it('answers a concurrent cover change with a 409', async () => {
+    const results = await Promise.allSettled([
+      load(ID(2)).makeCover(),
+      load(ID(3)).makeCover(),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason.statusCode).toBe(409);
+    expect(covers()).toEqual([ID(2)]);
+  });
+
+  it('gives the cover back when the image was rejected meanwhile', async () => {
+    const image = load(ID(2));
+    stored[1].status = 'rejected';
+
+    await expect(image.makeCover()).rejects.toMatchObject({ statusCode: 400 });
+    expect(covers()).toEqual([ID(1)]);
+  });
+});
+
+describe('Image.ensureCover', () => {
+  it('leaves an existing cover alone', async () => {
+    await Image.ensureCover(VENUE);
+
+    expect(covers()).toEqual([ID(1)]);
+  });
+
+  it('makes the first shown image the cover', async () => {
+    stored[0].is_cover = false;
+    stored[0].status = 'rejected';
+
+    await Image.ensureCover(VENUE);
+
+    expect(covers()).toEqual([ID(2)]);
+  });
+});
+
+describe('Image.reorder', () => {
+  it('sets the positions in the given order', async () => {
+    await Image.reorder(VENUE, [ID(3), ID(1), ID(2)]);
+
+    expect(stored.sort(byPosition).map((doc) => doc._id)).toEqual([ID(3), ID(1), ID(2)]);
+  });
+
+  it.each([
+    ['misses an image', [ID(3), ID(1)]],
+    ['repeats an image', [ID(3), ID(1), ID(1)]],
+    ['has a foreign image', [ID(3), ID(1), ID(2), ID(4)]],
+  ])('refuses an order that %s', async (label, ids) => {
+    await expect(Image.reorder(VENUE, ids)).rejects.toMatchObject({ statusCode: 400 });
+    expect(Image.bulkWrite).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+const Image = require('../models/imageModel');
+const { imageKeys } = require('../utils/mediaStore');
+
+const variantsFor = (base) => {
+  const variants = {};
+  ['thumbnail', 'card', 'full'].forEach((size) => {
+    variants[size] = {};
+    ['webp', 'avif'].forEach((format) => {
+      variants[size][format] = {
+        url: `/uploads/${base}/${size}.${format}`,
+        storage_key: `${base}/${size}.${format}`,
+      };
+    });
+  });
+  return variants;
+};
+
+const ALL_KEYS = [
+  'a/thumbnail.webp',
+  'a/thumbnail.avif',
+  'a/card.webp',
+  'a/card.avif',
+  'a/full.webp',
+  'a/full.avif',
+];
+
+describe('imageKeys', () => {
+  it('lists every stored file of an Image document', () => {
+    const image = new Image({
+      venue_id: '64b7f0c2a1b2c3d4e5f60718',
+      image_url: '/uploads/a/full.webp',
+      storage_key: 'a/full.webp',
+      variants: variantsFor('a'),
+    });
+
+    expect(imageKeys(image).sort()).toEqual([...ALL_KEYS].sort());
+  });
+
+  it('lists every stored file of freshly saved image fields', () => {
+    const saved = {
+      image_url: '/uploads/a/full.webp',
+      storage_key: 'a/full.webp',
+      variants: variantsFor('a'),
+    };
+
+    expect(imageKeys(saved).sort()).toEqual([...ALL_KEYS].sort());
+  });
+
+  it('has nothing to remove for an external image', () => {
+    const image = new Image({
+      venue_id: '64b7f0c2a1b2c3d4e5f60718',
+      image_url: 'https://example.com/hall.jpg',
+    });
+
+    expect(imageKeys(image)).toEqual([]);
+  });
+});
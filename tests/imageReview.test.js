@@ -0,0 +1,60 @@
+const Image = require('../models/imageModel');
+
+const ADMIN = { _id: '64b7f0c2a1b2c3d4e5f60701' };
+
+describe('image.review', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = {
+      _id: '64b7f0c2a1b2c3d4e5f60711',
+      venue_id: '64b7f0c2a1b2c3d4e5f60718',
+      image_url: 'https://example.com/hall.jpg',
+      status: 'pending',
+      is_cover: true,
+    };
+
+    // The conditional update only matches while the image is pending
+    jest
+      .spyOn(Image, 'findOneAndUpdate')
+      .mockImplementation(async (filter, update) => {
+        if (stored.status !== filter.status) return null;
+        Object.assign(stored, update);
+        return Image.hydrate({ ...stored });
+      });
+    jest.spyOn(Image, 'findById').mockImplementation(() => ({
+      select: async () => ({ status: stored.status }),
+    }));
+    jest.spyOn(Image, 'ensureCover').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('hides a rejected cover and hands the cover on', async () => {
+    const image = Image.hydrate({ ...stored });
+
+    await image.review('rejected', ADMIN, 'Blurry');
+
+    expect(image.status).toBe('rejected');
+    expect(image.is_cover).toBe(false);
+    expect(image.rejection_reason).toBe('Blurry');
+    expect(Image.ensureCover).toHaveBeenCalledWith(image.venue_id);
+  });
+
+  it('lets only one of two concurrent reviews through', async () => {
+    const results = await Promise.allSettled([
+      Image.hydrate({ ...stored }).review('approved', ADMIN),
+      Image.hydrate({ ...stored }).review('rejected', ADMIN, 'Blurry'),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual([
+      'fulfilled',
+      'rejected',
+    ]);
+    expect(results[1].reason.message).toBe('Image has already been approved');
+    expect(stored.is_cover).toBe(true);
+    expect(Image.ensureCover).not.toHaveBeenCalled();
+  });
+});
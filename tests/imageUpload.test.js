@@ -0,0 +1,70 @@
+jest.mock('../utils/mediaStore', () => ({
+  ...jest.requireActual('../utils/mediaStore'),
+  saveImages: jest.fn(),
+  removeFiles: jest.fn(),
+}));
+
+const Image = require('../models/imageModel');
+const Venue = require('../models/venueModel');
+const { saveImages, removeFiles } = require('../utils/mediaStore');
+const { createImage } = require('../controllers/imageController');
+
+const VENUE = '64b7f0c2a1b2c3d4e5f60918';
+const OWNER = '64b7f0c2a1b2c3d4e5f60919';
+
+const storedImage = (name) => ({
+  image_url: `https://cdn.example.com/venues/${name}/full.webp`,
+  storage_key: `venues/${name}/full.webp`,
+  variants: {},
+});
+
+describe('createImage', () => {
+  beforeEach(() => {
+    jest
+      .spyOn(Venue, 'findById')
+      .mockReturnValue({
+        select: jest
+          .fn()
+          .mockResolvedValue(new Venue({ _id: VENUE, name: 'Hall', owner_id: OWNER })),
+      });
+    jest.spyOn(Image, 'nextPosition').mockResolvedValue(3);
+    jest.spyOn(Image, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Image, 'ensureCover').mockResolvedValue();
+    saveImages.mockResolvedValue([storedImage('a'), storedImage('b')]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('removes the documents and files of a partly failed upload', async () => {
+    let inserted;
+    jest.spyOn(Image, 'insertMany').mockImplementation(async (docs) => {
+      inserted = docs;
+      // The first image went in before the second failed
+      throw new Error('insert failed');
+    });
+
+    const next = jest.fn();
+    await createImage(
+      {
+        body: { venue_id: VENUE },
+        files: [{ originalname: 'a.png' }, { originalname: 'b.png' }],
+        user: { _id: OWNER, id: OWNER, role: 'owner' },
+      },
+      { status: jest.fn().mockReturnThis(), json: jest.fn() },
+      next
+    );
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'insert failed' }));
+    expect(Image.deleteMany).toHaveBeenCalledWith({
+      _id: { $in: inserted.map((image) => image._id) },
+    });
+    expect(Image.ensureCover).toHaveBeenCalledWith(VENUE);
+    expect(removeFiles).toHaveBeenCalledWith([
+      'venues/a/full.webp',
+      'venues/b/full.webp',
+    ]);
+  });
+});
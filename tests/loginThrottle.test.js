@@ -0,0 +1,101 @@
+const {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  listLoginAttempts,
+} = require('../utils/loginThrottle');
+
+// Each test uses its own account and IP, since the memory store is shared
+let counter = 0;
+const client = () => {
+  counter += 1;
+  return { req: { ip: `10.0.0.${counter}` }, username: `guest${counter}` };
+};
+
+const fail = async ({ req, username }, times = 1) => {
+  for (let i = 0; i < times; i += 1) {
+    await recordLoginFailure(req, username);
+  }
+};
+
+const attempt = ({ req, username }) => assertLoginAllowed(req, username);
+
+const wait = (ms) => jest.setSystemTime(Date.now() + ms);
+
+describe('login throttling', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2030-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('lets the first failures retry right away', async () => {
+    const user = client();
+    await fail(user, 2);
+
+    await expect(attempt(user)).resolves.toBeUndefined();
+  });
+
+  it('makes every further attempt wait longer, up to 30 seconds', async () => {
+    const user = client();
+    await fail(user, 3);
+
+    await expect(attempt(user)).rejects.toMatchObject({
+      statusCode: 429,
+      retryAfter: 1,
+    });
+    wait(1000);
+    await expect(attempt(user)).resolves.toBeUndefined();
+
+    await fail(user, 2);
+    await expect(attempt(user)).rejects.toMatchObject({ retryAfter: 4 });
+
+    await fail(user, 4);
+    await expect(attempt(user)).rejects.toMatchObject({ retryAfter: 30 });
+  });
+
+  it('locks the account after 10 failures', async () => {
+    const user = client();
+    await fail(user, 10);
+    wait(30 * 1000);
+
+    await expect(attempt(user)).rejects.toMatchObject({
+      statusCode: 429,
+      message: expect.stringContaining('temporarily locked'),
+    });
+
+    const [entry] = (await listLoginAttempts()).filter(
+      (item) => item.key === `account:${user.username}`
+    );
+    expect(entry.locked).toBe(true);
+
+    wait(15 * 60 * 1000);
+    await expect(attempt(user)).resolves.toBeUndefined();
+  });
+
+  it('blocks an IP that fails across many accounts', async () => {
+    const { req } = client();
+    for (let i = 0; i < 50; i += 1) {
+      await fail({ req, username: `${req.ip}-account${i}` });
+    }
+    wait(30 * 1000);
+
+    await expect(attempt({ req, username: 'someone-new' })).rejects.toMatchObject({
+      message: expect.stringContaining('temporarily locked'),
+    });
+  });
+
+  it('forgets the account failures after a successful login', async () => {
+    const user = client();
+    await fail(user, 3);
+    await recordLoginSuccess(user.req, user.username);
+
+    // The IP still has to wait out its own failures
+    await expect(attempt(user)).rejects.toMatchObject({ statusCode: 429 });
+    await expect(
+      attempt({ req: { ip: '10.1.0.1' }, username: user.username })
+    ).resolves.toBeUndefined();
+  });
+});
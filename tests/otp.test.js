@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const Otp = require('../models/otpModel');
+const { verifyOtp } = require('../utils/otp');
+
+const PHONE = '+998901234567';
+
+const hashOf = (code) =>
+  crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${PHONE}:${code}`)
+    .digest('hex');
+
+// In-memory stand-in for the Otp collection with the same conditional
+// update semantics the real one has
+const stubCollection = (record) => {
+  jest.spyOn(Otp, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (filter.attempts && record.attempts >= filter.attempts.$lt) return null;
+    if (filter.consumed_at && record.consumed_at) return null;
+
+    if (update.$inc) record.attempts += update.$inc.attempts;
+    if (update.consumed_at) record.consumed_at = update.consumed_at;
+    return { ...record };
+  });
+  jest.spyOn(Otp, 'exists').mockImplementation(async () =>
+    record.consumed_at ? null : { _id: record._id }
+  );
+};
+
+describe('verifyOtp', () => {
+  let record;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    record = { _id: 'otp-1', code_hash: hashOf('123456'), attempts: 0 };
+    stubCollection(record);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses up the code when it matches', async () => {
+    await expect(
+      verifyOtp({ phone: PHONE, purpose: 'login', code: '123456' })
+    ).resolves.toMatchObject({ _id: 'otp-1' });
+    expect(record.consumed_at).toBeInstanceOf(Date);
+  });
+
+  it('counts a wrong guess before comparing', async () => {
+    await expect(
+      verifyOtp({ phone: PHONE, purpose: 'login', code: '000000' })
+    ).rejects.toMatchObject({ statusCode: 400, message: 'Invalid code' });
+    expect(record.attempts).toBe(1);
+  });
+
+  it('lets no more than five parallel guesses be compared', async () => {
+    const guesses = Array.from({ length: 20 }, (_, i) =>
+      verifyOtp({
+        phone: PHONE,
+        purpose: 'login',
+        code: String(i).padStart(6, '0'),
+      }).catch((error) => error.statusCode)
+    );
+
+    const results = await Promise.all(guesses);
+    expect(results.filter((status) => status === 400)).toHaveLength(5);
+    expect(results.filter((status) => status === 429)).toHaveLength(15);
+    expect(record.attempts).toBe(5);
+  });
+
+  it('refuses the right code once the attempts are used up', async () => {
+    record.attempts = 5;
+
+    await expect(
+      verifyOtp({ phone: PHONE, purpose: 'login', code: '123456' })
+    ).rejects.toMatchObject({ statusCode: 429 });
+    expect(record.consumed_at).toBeUndefined();
+  });
+
+  it('lets only one of two parallel correct guesses use the code', async () => {
+    const results = await Promise.allSettled([
+      verifyOtp({ phone: PHONE, purpose: 'login', code: '123456' }),
+      verifyOtp({ phone: PHONE, purpose: 'login', code: '123456' }),
+    ]);
+
+    expect(results.filter((r) => r.status === 'fulfilled')).toHaveLength(1);
+  });
+});
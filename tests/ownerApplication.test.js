@@ -0,0 +1,67 @@
+const OwnerApplication = require('../models/ownerApplicationModel');
+const User = require('../models/userModel');
+
+const ADMIN = { _id: '64b7f0c2a1b2c3d4e5f60701' };
+
+// Stand-in for the collection: the conditional update only matches while
+// the stored application is still pending
+const stubCollection = (stored) => {
+  jest
+    .spyOn(OwnerApplication, 'findOneAndUpdate')
+    .mockImplementation(async (filter, update) => {
+      if (stored.status !== filter.status) return null;
+      Object.assign(stored, update);
+      return OwnerApplication.hydrate({ ...stored });
+    });
+  jest.spyOn(OwnerApplication, 'findById').mockImplementation(() => ({
+    select: async () => ({ status: stored.status }),
+  }));
+};
+
+describe('ownerApplication.decide', () => {
+  let stored;
+  let applicant;
+
+  beforeEach(() => {
+    stored = new OwnerApplication({
+      user_id: '64b7f0c2a1b2c3d4e5f60702',
+      business_name: 'Navruz',
+    }).toObject();
+    stubCollection(stored);
+
+    applicant = { role: 'user', save: jest.fn() };
+    jest.spyOn(User, 'findById').mockResolvedValue(applicant);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('approves a pending application and makes the applicant an owner', async () => {
+    const application = OwnerApplication.hydrate({ ...stored });
+
+    await application.decide('approved', ADMIN, 'Looks good');
+
+    expect(application.status).toBe('approved');
+    expect(application.isModified()).toBe(false);
+    expect(applicant.role).toBe('owner');
+  });
+
+  it('lets only one of a concurrent approve and reject through', async () => {
+    const results = await Promise.allSettled([
+      OwnerApplication.hydrate({ ...stored }).decide('approved', ADMIN),
+      OwnerApplication.hydrate({ ...stored }).decide('rejected', ADMIN, 'No licence'),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual([
+      'fulfilled',
+      'rejected',
+    ]);
+    expect(results[1].reason).toMatchObject({
+      statusCode: 400,
+      message: 'Application has already been approved',
+    });
+    expect(stored.status).toBe('approved');
+    expect(applicant.save).toHaveBeenCalledTimes(1);
+  });
+});
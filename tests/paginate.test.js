@@ -0,0 +1,44 @@
+const Venue = require('../models/venueModel');
+const paginate = require('../utils/paginate');
+
+describe('paginate', () => {
+  let query;
+
+  beforeEach(() => {
+    query = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockReturnThis(),
+      then: (resolve) => resolve([]),
+    };
+    jest.spyOn(Venue, 'find').mockReturnValue(query);
+    jest.spyOn(Venue, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const fieldsFor = async (fields) => {
+    await paginate({ query: { fields }, originalUrl: '/api/venues' }, Venue);
+    return query.select.mock.calls.map((call) => call[0]);
+  };
+
+  it('selects the requested fields', async () => {
+    expect(await fieldsFor('name,capacity')).toEqual(['name capacity']);
+  });
+
+  it('never brings back fields the schema hides', async () => {
+    expect(
+      await fieldsFor(
+        'name,staff,staff.role,moderation_history,blocked_dates,blocked_dates.reason,blocked_dates.date'
+      )
+    ).toEqual(['name blocked_dates.date']);
+  });
+
+  it('ignores the password and anything that is not a field path', async () => {
+    expect(await fieldsFor('password,$where,+staff')).toEqual([]);
+  });
+});
@@ -0,0 +1,153 @@
+const fakeProvider = require('../providers/payment/fakeProvider');
+
+jest.mock('../models/paymentModel');
+jest.mock('../models/bookingModel');
+const Payment = require('../models/paymentModel');
+const { createInvoice, processCallback } = require('../utils/onlinePayments');
+
+describe('fake payment provider', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.PAYMENT_FAKE_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.resetAllMocks();
+  });
+
+  it('accepts a callback signed with the configured secret', async () => {
+    const callback = fakeProvider.simulate('fake_1', 5000, 'success');
+
+    await expect(fakeProvider.verifyCallback(callback)).resolves.toEqual({
+      provider_invoice_id: 'fake_1',
+      transaction_id: callback.transaction_id,
+      status: 'succeeded',
+      amount: 5000,
+    });
+  });
+
+  it('rejects a callback whose fields were changed after signing', async () => {
+    const callback = fakeProvider.simulate('fake_1', 5000, 'failure');
+
+    await expect(
+      fakeProvider.verifyCallback({ ...callback, status: 'succeeded' })
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects a callback signed with another secret', async () => {
+    const callback = fakeProvider.simulate('fake_1', 5000, 'success');
+    process.env.PAYMENT_FAKE_SECRET = 'other-secret';
+
+    await expect(fakeProvider.verifyCallback(callback)).rejects.toMatchObject({
+      statusCode: 401,
+    });
+  });
+
+  it('refuses to sign or verify without a configured secret', async () => {
+    delete process.env.PAYMENT_FAKE_SECRET;
+
+    expect(() => fakeProvider.simulate('fake_1', 5000, 'success')).toThrow(
+      'PAYMENT_FAKE_SECRET is not configured'
+    );
+    await expect(
+      fakeProvider.verifyCallback({ invoice_id: 'fake_1', signature: 'x' })
+    ).rejects.toThrow('PAYMENT_FAKE_SECRET is not configured');
+  });
+
+  it('is not registered in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.PAYMENT_PROVIDER;
+
+    jest.isolateModules(() => {
+      const { getPaymentProvider } = require('../providers/payment');
+      expect(() => getPaymentProvider('fake')).toThrow(
+        'Unknown payment provider fake'
+      );
+      expect(() => getPaymentProvider()).toThrow(
+        'Online payments are not configured'
+      );
+    });
+  });
+
+  it('rejects a successful callback for an expired invoice', async () => {
+    const callback = fakeProvider.simulate('fake_1', 5000, 'success');
+    Payment.findOne.mockResolvedValue({
+      _id: 'payment-1',
+      status: 'pending',
+      amount: 5000,
+      expires_at: new Date(Date.now() - 1000),
+    });
+
+    await expect(processCallback('fake', callback)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Invoice has expired',
+    });
+    expect(Payment.updateOne).toHaveBeenCalledWith(
+      { _id: 'payment-1', status: 'pending' },
+      { status: 'expired' }
+    );
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('createInvoice', () => {
+  const originalEnv = { ...process.env };
+  const booking = {
+    _id: 'booking-1',
+    amount_paid: 0,
+    deposit_required: 3000,
+    balance: 10000,
+  };
+  const user = { _id: 'user-1' };
+
+  beforeEach(() => {
+    process.env.PAYMENT_FAKE_SECRET = 'test-secret';
+    delete process.env.PAYMENT_PROVIDER;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.resetAllMocks();
+  });
+
+  it('hands out the invoice that can still be paid', async () => {
+    const open = { _id: 'payment-1', status: 'pending' };
+    Payment.findOne.mockResolvedValue(open);
+
+    await expect(createInvoice(booking, user)).resolves.toBe(open);
+    expect(Payment.findOne.mock.calls[0][0]).toMatchObject({
+      booking_id: 'booking-1',
+      status: 'pending',
+      expires_at: { $gt: expect.any(Date) },
+    });
+    expect(Payment.create).not.toHaveBeenCalled();
+  });
+
+  it('closes invoices that ran out before opening a new one', async () => {
+    Payment.findOne.mockResolvedValue(null);
+    Payment.create.mockImplementation(async (fields) => fields);
+
+    const payment = await createInvoice(booking, user);
+
+    expect(Payment.updateMany).toHaveBeenCalledWith(
+      { booking_id: 'booking-1', method: 'online', status: 'pending' },
+      { status: 'expired' }
+    );
+    expect(Payment.updateMany.mock.invocationCallOrder[0]).toBeLessThan(
+      Payment.create.mock.invocationCallOrder[0]
+    );
+    expect(payment).toMatchObject({ amount: 3000, status: 'pending', provider: 'fake' });
+  });
+
+  it('returns the invoice a concurrent request opened first', async () => {
+    const winner = { _id: 'payment-2', status: 'pending' };
+    Payment.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(winner);
+    Payment.create.mockRejectedValue(
+      Object.assign(new Error('E11000 duplicate key error'), { code: 11000 })
+    );
+
+    await expect(createInvoice(booking, user)).resolves.toBe(winner);
+  });
+});
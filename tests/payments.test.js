@@ -0,0 +1,116 @@
+const Booking = require('../models/bookingModel');
+const Payment = require('../models/paymentModel');
+const Venue = require('../models/venueModel');
+const {
+  addPayment,
+  refundPayment,
+} = require('../controllers/paymentController');
+
+const OWNER_ID = '64b7f0c2a1b2c3d4e5f60720';
+
+const newBooking = (status) =>
+  new Booking({
+    venue_id: '64b7f0c2a1b2c3d4e5f60718',
+    user_id: '64b7f0c2a1b2c3d4e5f60719',
+    reservation_date: '2999-01-01',
+    guest_count: 50,
+    client_phone: '+998901234567',
+    status,
+  });
+
+const call = async (handler, booking, body) => {
+  jest.spyOn(Booking, 'findById').mockResolvedValue(booking);
+  jest
+    .spyOn(Venue, 'findById')
+    .mockReturnValue({
+      select: jest
+        .fn()
+        .mockResolvedValue({ _id: booking.venue_id, owner_id: OWNER_ID }),
+    });
+
+  const next = jest.fn();
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  await handler(
+    {
+      params: { id: booking._id, paymentId: 'payment-1' },
+      body,
+      user: { _id: OWNER_ID, role: 'owner' },
+    },
+    res,
+    next
+  );
+  return { next, res };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('addPayment', () => {
+  it('takes no payments for a cancelled booking', async () => {
+    const create = jest.spyOn(Payment, 'create');
+    const { next } = await call(addPayment, newBooking('cancelled'), {
+      amount: 1000,
+      method: 'cash',
+    });
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 400 })
+    );
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('refundPayment', () => {
+  const payment = { _id: 'payment-1', amount: 1000, refunded_amount: 600, method: 'cash' };
+
+  it('reserves the refund with a guarded update before recording it', async () => {
+    const booking = newBooking('confirmed');
+    jest.spyOn(booking, 'syncPayments').mockResolvedValue(booking);
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    const reserve = jest
+      .spyOn(Payment, 'findOneAndUpdate')
+      .mockResolvedValue({ ...payment, refunded_amount: 1000 });
+    jest.spyOn(Payment, 'create').mockImplementation(async (doc) => doc);
+
+    const { next, res } = await call(refundPayment, booking, {});
+
+    expect(next).not.toHaveBeenCalled();
+    const [filter, update] = reserve.mock.calls[0];
+    expect(filter.$expr.$lte[0].$add[1]).toBe(400);
+    expect(update).toEqual({ $inc: { refunded_amount: 400 } });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('refuses a refund the guarded update did not match', async () => {
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+    const create = jest.spyOn(Payment, 'create');
+
+    const { next } = await call(refundPayment, newBooking('confirmed'), {
+      amount: 400,
+    });
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 400 })
+    );
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('gives the reserved amount back when recording the refund fails', async () => {
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(payment);
+    jest.spyOn(Payment, 'create').mockRejectedValue(new Error('write failed'));
+    const release = jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+
+    const { next } = await call(refundPayment, newBooking('confirmed'), {
+      amount: 400,
+    });
+
+    expect(release).toHaveBeenCalledWith(
+      { _id: 'payment-1' },
+      { $inc: { refunded_amount: -400 } }
+    );
+    expect(next).toHaveBeenCalledWith(expect.any(Error));
+  });
+});
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { can, getRelations, getBookingParties } = require('../utils/policy');
+const { requirePermission } = require('../middleware/authMiddleware');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const admin = { _id: id(), role: 'admin' };
+const owner = { _id: id(), role: 'owner' };
+const otherOwner = { _id: id(), role: 'owner' };
+const manager = { _id: id(), role: 'user' };
+const client = { _id: id(), role: 'user' };
+const stranger = { _id: id(), role: 'user' };
+
+const venue = {
+  _id: id(),
+  // Populated, as controllers often load it
+  owner_id: { _id: owner._id, username: 'owner' },
+  staff: [
+    { user_id: manager._id, role: 'manager', status: 'active' },
+    { user_id: stranger._id, role: 'manager', status: 'removed' },
+  ],
+};
+const booking = { _id: id(), venue_id: venue._id, user_id: client._id };
+
+describe('can', () => {
+  it('gives admins every permission', () => {
+    expect(can(admin, 'venue:delete')).toBe(true);
+    expect(can(admin, 'owner_application:review')).toBe(true);
+  });
+
+  it('grants role permissions without a resource', () => {
+    expect(can(owner, 'venue:create')).toBe(true);
+    expect(can(client, 'venue:create')).toBe(false);
+  });
+
+  it('lets owners manage only their own venue', () => {
+    expect(can(owner, 'venue:update', { venue })).toBe(true);
+    expect(can(otherOwner, 'venue:update', { venue })).toBe(false);
+    expect(can(owner, 'venue:update')).toBe(false);
+    expect(can(owner, 'payment:refund', { venue, booking })).toBe(true);
+  });
+
+  it('limits staff to what their role allows while active', () => {
+    expect(can(manager, 'booking:change_status', { venue, booking })).toBe(true);
+    expect(can(manager, 'venue:update', { venue })).toBe(false);
+    expect(can(manager, 'payment:record', { venue, booking })).toBe(true);
+    expect(can(manager, 'payment:refund', { venue, booking })).toBe(false);
+    expect(can(stranger, 'booking:read', { venue, booking })).toBe(false);
+  });
+
+  it('lets clients act on their own bookings only', () => {
+    expect(can(client, 'booking:update', { booking })).toBe(true);
+    expect(can(stranger, 'booking:update', { booking })).toBe(false);
+    expect(can(client, 'payment:record', { venue, booking })).toBe(false);
+  });
+
+  it('lets applicants read and add to their own application', () => {
+    const application = { user_id: client._id };
+
+    expect(can(client, 'owner_application:read', { application })).toBe(true);
+    expect(can(stranger, 'owner_application:read', { application })).toBe(false);
+    expect(can(client, 'owner_application:add_documents', { application })).toBe(true);
+    expect(can(stranger, 'owner_application:add_documents', { application })).toBe(false);
+  });
+
+  it('refuses a missing user', () => {
+    expect(can(undefined, 'booking:read', { booking })).toBe(false);
+  });
+});
+
+describe('getRelations', () => {
+  it('lists every relation the user has', () => {
+    expect(getRelations(owner, { venue, booking: { ...booking, user_id: owner._id } })).toEqual([
+      'owner',
+      'client',
+    ]);
+  });
+});
+
+describe('getBookingParties', () => {
+  it('maps roles and relations to the side they act for', () => {
+    expect(getBookingParties(manager, booking, venue)).toEqual(['owner']);
+    expect(getBookingParties(client, booking, venue)).toEqual(['client']);
+    expect(getBookingParties(admin, booking, venue)).toEqual(['admin']);
+    expect(getBookingParties(stranger, booking, venue)).toEqual([]);
+  });
+});
+
+describe('requirePermission', () => {
+  it('passes users whose role has the permission', () => {
+    const next = jest.fn();
+    requirePermission('venue:create')({ user: owner }, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('answers 403 otherwise', () => {
+    const next = jest.fn();
+    requirePermission('venue:create')({ user: client }, {}, next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,176 @@
+const Booking = require('../models/bookingModel');
+const Venue = require('../models/venueModel');
+const { calculatePrice } = require('../utils/pricing');
+const { updateBooking } = require('../controllers/bookingController');
+
+// 2999-01-04 is a Friday
+const FRIDAY = '2999-01-04';
+const MONDAY = '2999-01-07';
+
+const venue = (pricing = {}) => ({
+  price_seat: 100,
+  capacity: 500,
+  pricing,
+});
+
+describe('calculatePrice', () => {
+  it('charges the base seat price without rules', () => {
+    const price = calculatePrice(venue(), MONDAY, 10);
+
+    expect(price).toMatchObject({
+      base_price_seat: 100,
+      price_seat: 100,
+      billable_guests: 10,
+      applied_rules: [],
+      subtotal: 1000,
+      total: 1000,
+      deposit_due: 0,
+    });
+  });
+
+  it('multiplies weekday and season rules', () => {
+    const price = calculatePrice(
+      venue({
+        weekday_multipliers: [{ day: 5, multiplier: 1.5 }],
+        // Wraps over the new year
+        seasons: [{ name: 'Winter', start: '12-01', end: '02-28', multiplier: 1.2 }],
+      }),
+      FRIDAY,
+      10
+    );
+
+    expect(price.price_seat).toBe(180);
+    expect(price.applied_rules.map((rule) => rule.label)).toEqual(['friday', 'Winter']);
+  });
+
+  it('lets a date override replace the seat price', () => {
+    const price = calculatePrice(
+      venue({
+        weekday_multipliers: [{ day: 5, multiplier: 1.5 }],
+        date_overrides: [{ date: FRIDAY, price_seat: 70, label: 'Promo' }],
+      }),
+      FRIDAY,
+      10
+    );
+
+    expect(price.price_seat).toBe(70);
+    expect(price.applied_rules).toEqual([
+      { type: 'date_override', label: 'Promo', price_seat: 70 },
+    ]);
+  });
+
+  it('adds extras, takes the best discount and works out the deposit', () => {
+    const price = calculatePrice(
+      venue({
+        min_guests: 20,
+        extras: [
+          { name: 'Cake', price: 500 },
+          { name: 'Flowers', price: 10, per_guest: true },
+        ],
+        discounts: [
+          { name: 'Group', min_guests: 10, percent: 5 },
+          { name: 'Large group', min_guests: 15, percent: 10 },
+          { name: 'Huge group', min_guests: 100, percent: 50 },
+        ],
+        deposit_percent: 30,
+      }),
+      MONDAY,
+      15,
+      ['Cake', 'Flowers', 'Cake']
+    );
+
+    expect(price.items.map((item) => [item.label, item.amount])).toEqual([
+      ['Seats', 2000],
+      ['Cake', 500],
+      ['Flowers', 150],
+      ['Large group', -265],
+    ]);
+    expect(price).toMatchObject({
+      billable_guests: 20,
+      subtotal: 2650,
+      discount_total: 265,
+      total: 2385,
+      deposit_due: 716,
+    });
+  });
+
+  it('refuses an extra the venue does not offer', () => {
+    expect(() => calculatePrice(venue(), MONDAY, 10, ['Fireworks'])).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+  });
+});
+
+describe('price snapshot on update', () => {
+  const priced = venue({
+    extras: [{ name: 'Cake', price: 500 }],
+    deposit_percent: 50,
+  });
+
+  const run = async (body) => {
+    const booking = new Booking({
+      venue_id: '64b7f0c2a1b2c3d4e5f60718',
+      user_id: '64b7f0c2a1b2c3d4e5f60719',
+      reservation_date: MONDAY,
+      guest_count: 10,
+      client_phone: '+998901234567',
+      price_snapshot: calculatePrice(priced, MONDAY, 10, ['Cake']),
+    });
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking);
+    // The venue's prices went up since the booking was made
+    jest
+      .spyOn(Venue, 'findById')
+      .mockReturnValue({
+        select: jest
+          .fn()
+          .mockResolvedValue(new Venue({ ...priced, name: 'Hall', price_seat: 200 })),
+      });
+    const updated = { syncPayments: jest.fn() };
+    const findByIdAndUpdate = jest
+      .spyOn(Booking, 'findByIdAndUpdate')
+      .mockReturnValue({
+        populate: () => ({ populate: () => Promise.resolve(updated) }),
+      });
+
+    const next = jest.fn();
+    await updateBooking(
+      {
+        params: { id: booking._id },
+        body,
+        user: { _id: booking.user_id, role: 'user' },
+      },
+      { json: jest.fn() },
+      next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    return { update: findByIdAndUpdate.mock.calls[0][1], updated };
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps the agreed price when nothing priced changes', async () => {
+    const { update, updated } = await run({
+      notes: 'Vegetarian menu',
+      price_snapshot: { total: 1 },
+      total_amount: 1,
+    });
+
+    expect(update).toEqual({ notes: 'Vegetarian menu' });
+    expect(updated.syncPayments).not.toHaveBeenCalled();
+  });
+
+  it('re-prices at current prices with the booked extras when guests change', async () => {
+    const { update, updated } = await run({ guest_count: 20 });
+
+    expect(update.price_snapshot.items.map((item) => [item.label, item.amount])).toEqual([
+      ['Seats', 4000],
+      ['Cake', 500],
+    ]);
+    expect(update.total_amount).toBe(4500);
+    expect(update.deposit_required).toBe(2250);
+    expect(updated.syncPayments).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const express = require('express');
+const request = require('supertest');
+const os = require('os');
+const path = require('path');
+
+const UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'private-files-'));
+process.env.UPLOAD_DIR = UPLOAD_DIR;
+
+const localStorage = require('../providers/storage/localStorage');
+const { saveDocuments } = require('../utils/mediaStore');
+const { detectDocumentType } = require('../utils/fileType');
+
+const PDF = Buffer.from('%PDF-1.7\n%fake document\n');
+
+const KEY = 'private/owner-applications/1/licence.pdf';
+
+// The stored files served the way server.js mounts them
+const app = express();
+app.use(localStorage.PUBLIC_PATH, localStorage.serve);
+app.use((err, req, res, next) =>
+  res.status(err.statusCode || 500).json({ message: err.message })
+);
+
+const get = (url) => request(app).get(url.replace(/^https?:\/\/[^/]+/, ''));
+
+describe('private files', () => {
+  const { STORAGE_SIGNING_SECRET, JWT_SECRET } = process.env;
+
+  beforeEach(() => {
+    process.env.STORAGE_SIGNING_SECRET = 'storage-test-secret';
+  });
+
+  const restore = (name, value) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  };
+
+  afterEach(() => {
+    restore('STORAGE_SIGNING_SECRET', STORAGE_SIGNING_SECRET);
+    restore('JWT_SECRET', JWT_SECRET);
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+  });
+
+  it('stores documents under private/ with their detected type', async () => {
+    const file = {
+      originalname: 'licence.pdf',
+      buffer: PDF,
+      documentType: detectDocumentType(PDF),
+    };
+
+    const [saved] = await saveDocuments([file], 'owner-applications/1');
+
+    expect(saved).toMatchObject({
+      name: 'licence.pdf',
+      content_type: 'application/pdf',
+      bytes: PDF.length,
+    });
+    expect(saved.storage_key).toMatch(/^private\/owner-applications\/1\/.+\.pdf$/);
+    expect(fs.readFileSync(path.join(UPLOAD_DIR, saved.storage_key))).toEqual(PDF);
+  });
+
+  describe('serving', () => {
+    beforeAll(() => {
+      fs.mkdirSync(path.join(UPLOAD_DIR, path.dirname(KEY)), { recursive: true });
+      fs.writeFileSync(path.join(UPLOAD_DIR, KEY), PDF);
+      fs.mkdirSync(path.join(UPLOAD_DIR, 'venues'), { recursive: true });
+      fs.writeFileSync(path.join(UPLOAD_DIR, 'venues/hall.txt'), 'hall');
+    });
+
+    it('serves public files to anyone', async () => {
+      const res = await get('/uploads/venues/hall.txt');
+
+      expect(res.status).toBe(200);
+      expect(res.text).toBe('hall');
+    });
+
+    it('serves private files through a valid link', async () => {
+      const res = await get(await localStorage.getSignedUrl(KEY, { expiresIn: 60 }));
+
+      expect(res.status).toBe(200);
+      expect(res.headers['cache-control']).toBe('private, no-store');
+      expect(res.body).toEqual(PDF);
+    });
+
+    it('refuses private files without a valid, unexpired link', async () => {
+      const url = await localStorage.getSignedUrl(KEY, { expiresIn: 60 });
+      const expired = await localStorage.getSignedUrl(KEY, { expiresIn: -1 });
+
+      expect((await get(localStorage.getUrl(KEY))).status).toBe(403);
+      expect(
+        (await get(url.replace(/signature=\w+/, `signature=${'0'.repeat(64)}`))).status
+      ).toBe(403);
+      expect((await get(expired)).status).toBe(403);
+    });
+
+    it.each([
+      '/uploads/venues/../private/owner-applications/1/licence.pdf',
+      '/uploads/venues/%2e%2e/private/owner-applications/1/licence.pdf',
+      '/uploads/venues%2f..%2fprivate/owner-applications/1/licence.pdf',
+      '/uploads/./private/owner-applications/1/licence.pdf',
+      '/uploads//private/owner-applications/1/licence.pdf',
+    ])('does not let %s around the signature check', async (url) => {
+      const res = await request(app).get(url);
+
+      expect(res.status).not.toBe(200);
+      expect(res.body).not.toEqual(PDF);
+    });
+  });
+
+  it('needs its own signing secret', async () => {
+    delete process.env.STORAGE_SIGNING_SECRET;
+    process.env.JWT_SECRET = 'jwt-test-secret';
+
+    await expect(
+      localStorage.getSignedUrl('private/owner-applications/1/licence.pdf')
+    ).rejects.toThrow('STORAGE_SIGNING_SECRET is not configured');
+  });
+});
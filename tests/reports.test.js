@@ -0,0 +1,80 @@
+const Venue = require('../models/venueModel');
+const { REPORTS } = require('../utils/reports');
+const { MS_PER_DAY } = require('../utils/dateUtils');
+
+// Rows behind a cursor-like close(), as the aggregation cursor hands them out
+const cursorOf = (rows) => ({
+  close: jest.fn(async () => {}),
+  async *[Symbol.asyncIterator]() {
+    yield* rows;
+  },
+});
+
+describe('approval-backlog report', () => {
+  let pipeline;
+  let cursor;
+
+  beforeEach(() => {
+    const submittedAt = new Date(Date.now() - 3 * MS_PER_DAY);
+    cursor = cursorOf([
+      { type: 'image', id: 'image-1', name: 'Grand Hall', submitted_at: submittedAt },
+    ]);
+
+    jest.spyOn(Venue, 'aggregate').mockImplementation((stages) => {
+      pipeline = stages;
+      return { allowDiskUse: () => ({ cursor: () => cursor }) };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const readAll = async (rows) => {
+    const result = [];
+    for await (const row of rows) result.push(row);
+    return result;
+  };
+
+  it('merges every queue into one stream sorted by submission time', async () => {
+    const rows = await readAll(REPORTS['approval-backlog'].rows({}));
+
+    const unions = pipeline.filter((stage) => stage.$unionWith);
+    expect(unions.map((stage) => stage.$unionWith.coll)).toEqual([
+      'venuerevisions',
+      'images',
+      'ownerapplications',
+    ]);
+    expect(pipeline.filter((stage) => stage.$sort)).toEqual([
+      { $sort: { submitted_at: 1 } },
+    ]);
+    expect(pipeline[pipeline.length - 1]).toEqual({ $sort: { submitted_at: 1 } });
+
+    expect(rows).toEqual([expect.objectContaining({ type: 'image', age_days: 3 })]);
+    expect(cursor.close).toHaveBeenCalled();
+  });
+
+  it('dates a venue by its last submission in the moderation history', async () => {
+    await readAll(REPORTS['approval-backlog'].rows({}));
+
+    const { submitted_at: submittedAt } = pipeline.find(
+      (stage) => stage.$addFields
+    ).$addFields;
+    expect(JSON.stringify(submittedAt)).toContain('$moderation_history');
+    expect(submittedAt.$let.in).toEqual({
+      $ifNull: ['$$last.changed_at', '$createdAt'],
+    });
+  });
+
+  it('filters the range on the submission time', async () => {
+    const from = new Date('2026-01-01');
+    await readAll(REPORTS['approval-backlog'].rows({ from }));
+
+    expect(pipeline[2]).toEqual({ $match: { submitted_at: { $gte: from } } });
+    for (const { $unionWith } of pipeline.filter((stage) => stage.$unionWith)) {
+      expect($unionWith.pipeline[2]).toEqual({
+        $match: { submitted_at: { $gte: from } },
+      });
+    }
+  });
+});
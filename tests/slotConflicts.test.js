@@ -0,0 +1,163 @@
+const Booking = require('../models/bookingModel');
+const BookingLock = require('../models/bookingLockModel');
+const { FULL_DAY_SLOT, slotsOverlap } = require('../utils/timeSlots');
+const { assertBookable } = require('../utils/bookingRules');
+
+const MORNING = { name: 'morning', start_time: '09:00', end_time: '14:00' };
+const EVENING = { name: 'evening', start_time: '17:00', end_time: '23:00' };
+const AFTERNOON = { name: 'afternoon', start_time: '14:00', end_time: '17:00' };
+
+const venue = {
+  _id: 'venue-1',
+  status: 'tasdiqlangan',
+  capacity: 200,
+  time_slots: [MORNING, EVENING, AFTERNOON],
+  blocked_dates: [],
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('slotsOverlap', () => {
+  it('keeps morning and evening apart', () => {
+    expect(slotsOverlap(MORNING, EVENING)).toBe(false);
+  });
+
+  it('lets a slot start when the previous one ends', () => {
+    expect(slotsOverlap(MORNING, AFTERNOON)).toBe(false);
+  });
+
+  it('treats the full day as overlapping every slot', () => {
+    [MORNING, EVENING, AFTERNOON].forEach((slot) =>
+      expect(slotsOverlap(FULL_DAY_SLOT, slot)).toBe(true)
+    );
+  });
+});
+
+describe('Booking.findConflict', () => {
+  const stubBookings = (bookings) =>
+    jest.spyOn(Booking, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue(bookings),
+    });
+
+  it('finds an active booking whose slot overlaps', async () => {
+    const find = stubBookings([{ _id: 'b1', ...FULL_DAY_SLOT }]);
+
+    const conflict = await Booking.findConflict({
+      venue_id: 'venue-1',
+      reservation_date: '2026-06-01',
+      slot: EVENING,
+    });
+
+    expect(conflict).toMatchObject({ _id: 'b1' });
+    expect(find.mock.calls[0][0].status.$in).toEqual(
+      expect.arrayContaining(['pending', 'confirmed'])
+    );
+  });
+
+  it('ignores bookings in slots that do not overlap', async () => {
+    stubBookings([{ _id: 'b1', ...MORNING }]);
+
+    await expect(
+      Booking.findConflict({
+        venue_id: 'venue-1',
+        reservation_date: '2026-06-01',
+        slot: EVENING,
+      })
+    ).resolves.toBeNull();
+  });
+
+  it('leaves the booking being moved out of the check', async () => {
+    const find = stubBookings([]);
+
+    await Booking.findConflict({
+      venue_id: 'venue-1',
+      reservation_date: '2026-06-01',
+      slot: EVENING,
+      excludeId: 'b1',
+    });
+
+    expect(find.mock.calls[0][0]._id).toEqual({ $ne: 'b1' });
+  });
+});
+
+describe('assertBookable', () => {
+  it('rejects a slot taken by another booking', async () => {
+    jest.spyOn(Booking, 'findConflict').mockResolvedValue({ _id: 'b1' });
+
+    await expect(
+      assertBookable(venue, {
+        reservation_date: '2026-06-01',
+        slot: 'evening',
+        guest_count: 50,
+      })
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Venue is already booked for this date and time slot',
+    });
+  });
+
+  it('resolves to the slot when it is free', async () => {
+    jest.spyOn(Booking, 'findConflict').mockResolvedValue(null);
+
+    await expect(
+      assertBookable(venue, {
+        reservation_date: '2026-06-01',
+        slot: 'evening',
+        guest_count: 50,
+      })
+    ).resolves.toMatchObject(EVENING);
+  });
+});
+
+describe('BookingLock.hold', () => {
+  it('locks the venue for the whole day and releases it afterwards', async () => {
+    const acquire = jest
+      .spyOn(BookingLock, 'findOneAndUpdate')
+      .mockResolvedValue(null);
+    const release = jest
+      .spyOn(BookingLock, 'deleteOne')
+      .mockResolvedValue({ deletedCount: 1 });
+
+    const result = await BookingLock.hold(
+      'venue-1',
+      '2026-06-01T18:30:00Z',
+      async () => 'booked'
+    );
+
+    expect(result).toBe('booked');
+    const [filter, update] = acquire.mock.calls[0];
+    expect(filter._id).toBe('venue-1:2026-06-01');
+    expect(release).toHaveBeenCalledWith({
+      _id: 'venue-1:2026-06-01',
+      token: update.token,
+    });
+  });
+
+  it('turns a concurrent request away with a 409', async () => {
+    jest
+      .spyOn(BookingLock, 'findOneAndUpdate')
+      .mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+    const fn = jest.fn();
+
+    await expect(
+      BookingLock.hold('venue-1', '2026-06-01', fn)
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it('releases the lock when the booking fails', async () => {
+    jest.spyOn(BookingLock, 'findOneAndUpdate').mockResolvedValue(null);
+    const release = jest
+      .spyOn(BookingLock, 'deleteOne')
+      .mockResolvedValue({ deletedCount: 1 });
+
+    await expect(
+      BookingLock.hold('venue-1', '2026-06-01', async () => {
+        throw new Error('taken');
+      })
+    ).rejects.toThrow('taken');
+    expect(release).toHaveBeenCalled();
+  });
+});
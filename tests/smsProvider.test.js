@@ -0,0 +1,43 @@
+describe('getSmsProvider', () => {
+  const { NODE_ENV, SMS_PROVIDER } = process.env;
+
+  const restore = (name, value) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  };
+
+  afterEach(() => {
+    restore('NODE_ENV', NODE_ENV);
+    restore('SMS_PROVIDER', SMS_PROVIDER);
+  });
+
+  const load = () => {
+    let getSmsProvider;
+    jest.isolateModules(() => {
+      ({ getSmsProvider } = require('../providers/sms'));
+    });
+    return getSmsProvider;
+  };
+
+  it('prints messages to the console outside production', () => {
+    process.env.NODE_ENV = 'development';
+    delete process.env.SMS_PROVIDER;
+
+    expect(load()().name).toBe('console');
+  });
+
+  it('refuses to send codes without a configured provider in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.SMS_PROVIDER;
+    const getSmsProvider = load();
+
+    expect(() => getSmsProvider()).toThrow(
+      expect.objectContaining({
+        statusCode: 503,
+        message: 'SMS delivery is not configured',
+      })
+    );
+    expect(() => getSmsProvider('console')).toThrow('Unknown SMS provider console');
+    expect(() => getSmsProvider('file')).toThrow('Unknown SMS provider file');
+  });
+});
@@ -0,0 +1,107 @@
+const express = require('express');
+const request = require('supertest');
+const { uploadImages, uploadDocuments } = require('../middleware/uploadMiddleware');
+const { detectImageType, detectDocumentType } = require('../utils/fileType');
+
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.alloc(16),
+]);
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(16)]);
+const WEBP = Buffer.concat([
+  Buffer.from('RIFF'),
+  Buffer.alloc(4),
+  Buffer.from('WEBPVP8 '),
+  Buffer.alloc(8),
+]);
+const PDF = Buffer.from('%PDF-1.7\n%fake document\n');
+const SCRIPT = Buffer.from('<script>alert(1)</script>');
+
+// An app that reports what the upload middleware accepted
+const app = (middleware) => {
+  const server = express();
+  server.post('/', middleware, (req, res) =>
+    res.json(req.files.map((file) => (file.imageType || file.documentType).name))
+  );
+  server.use((err, req, res, next) =>
+    res.status(err.statusCode || 500).json({ message: err.message })
+  );
+  return server;
+};
+
+describe('detectImageType', () => {
+  it.each([
+    ['jpeg', JPEG],
+    ['png', PNG],
+    ['webp', WEBP],
+  ])('recognises %s by its first bytes', (name, bytes) => {
+    expect(detectImageType(bytes).name).toBe(name);
+  });
+
+  it('recognises nothing else', () => {
+    expect(detectImageType(SCRIPT)).toBeNull();
+    expect(detectImageType(PDF)).toBeNull();
+    expect(detectImageType(PNG.subarray(0, 8))).toBeNull();
+  });
+});
+
+describe('detectDocumentType', () => {
+  it('accepts PDFs and scans', () => {
+    expect(detectDocumentType(PDF).name).toBe('pdf');
+    expect(detectDocumentType(JPEG).name).toBe('jpeg');
+    expect(detectDocumentType(WEBP)).toBeNull();
+  });
+});
+
+describe('uploadImages', () => {
+  it('accepts images whose content matches', async () => {
+    const res = await request(app(uploadImages()))
+      .post('/')
+      .attach('images', PNG, { filename: 'hall.png', contentType: 'image/png' })
+      .attach('images', JPEG, { filename: 'hall.jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(['png', 'jpeg']);
+  });
+
+  it('detects the real type whatever the client claims', async () => {
+    const res = await request(app(uploadImages()))
+      .post('/')
+      .attach('images', WEBP, { filename: 'hall.jpg', contentType: 'image/jpeg' });
+
+    expect(res.body).toEqual(['webp']);
+  });
+
+  it('refuses a file dressed up as an image', async () => {
+    const res = await request(app(uploadImages()))
+      .post('/')
+      .attach('images', SCRIPT, { filename: 'hall.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('hall.png is not a valid image');
+  });
+
+  it('refuses types that are not allowed before reading them', async () => {
+    const res = await request(app(uploadImages()))
+      .post('/')
+      .attach('images', PDF, { filename: 'menu.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Only image\/jpeg, image\/png, image\/webp images/);
+  });
+});
+
+describe('uploadDocuments', () => {
+  it('accepts PDFs and refuses anything else', async () => {
+    const ok = await request(app(uploadDocuments()))
+      .post('/')
+      .attach('documents', PDF, { filename: 'licence.pdf', contentType: 'application/pdf' });
+    const bad = await request(app(uploadDocuments()))
+      .post('/')
+      .attach('documents', SCRIPT, { filename: 'licence.pdf', contentType: 'application/pdf' });
+
+    expect(ok.body).toEqual(['pdf']);
+    expect(bad.status).toBe(400);
+    expect(bad.body.message).toBe('licence.pdf is not a valid document');
+  });
+});
@@ -0,0 +1,82 @@
+const Venue = require("../models/venueModel");
+const { VENUE_STATUS } = require("../utils/venueStatus");
+
+const ADMIN = { _id: "64b7f0c2a1b2c3d4e5f60701" };
+
+describe("venue.moderate", () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = {
+      _id: "64b7f0c2a1b2c3d4e5f60721",
+      name: "Grand Hall",
+      status: VENUE_STATUS.SUBMITTED,
+      moderation_history: [],
+    };
+
+    // The conditional update only matches while the status is unchanged
+    jest
+      .spyOn(Venue, "findOneAndUpdate")
+      .mockImplementation((filter, update) => ({
+        select: async () => {
+          if (stored.status !== filter.status) return null;
+          stored = {
+            ...stored,
+            ...update.$set,
+            moderation_history: [
+              ...stored.moderation_history,
+              update.$push.moderation_history,
+            ],
+          };
+          return Venue.hydrate({ ...stored });
+        },
+      }));
+    jest.spyOn(Venue, "findById").mockImplementation(() => ({
+      select: async () => ({ status: stored.status }),
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("records the decision in one conditional update", async () => {
+    const venue = Venue.hydrate({ ...stored });
+
+    const moderated = await venue.moderate(VENUE_STATUS.REJECTED, {
+      user: ADMIN,
+      reason: "No photos",
+    });
+
+    const [filter, update] = Venue.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: venue._id, status: VENUE_STATUS.SUBMITTED });
+    expect(update.$set).toEqual({
+      status: VENUE_STATUS.REJECTED,
+      moderation_reason: "No photos",
+    });
+    expect(moderated.status).toBe(VENUE_STATUS.REJECTED);
+    expect(moderated.moderation_history).toHaveLength(1);
+  });
+
+  it("lets only one of two concurrent decisions through", async () => {
+    // Both admins loaded the venue before either decided
+    const first = Venue.hydrate({ ...stored });
+    const second = Venue.hydrate({ ...stored });
+
+    const results = await Promise.allSettled([
+      first.moderate(VENUE_STATUS.APPROVED, { user: ADMIN }),
+      second.moderate(VENUE_STATUS.REJECTED, {
+        user: ADMIN,
+        reason: "No photos",
+      }),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+    expect(results[1].reason.statusCode).toBe(409);
+    expect(stored.status).toBe(VENUE_STATUS.APPROVED);
+    expect(stored.moderation_history).toHaveLength(1);
+  });
+});
@@ -0,0 +1,62 @@
+const VenueRevision = require('../models/venueRevisionModel');
+const Venue = require('../models/venueModel');
+
+const ADMIN = { _id: '64b7f0c2a1b2c3d4e5f60701' };
+
+describe('venue revision decisions', () => {
+  let stored;
+  let venue;
+
+  beforeEach(() => {
+    stored = {
+      _id: '64b7f0c2a1b2c3d4e5f60710',
+      venue_id: '64b7f0c2a1b2c3d4e5f60718',
+      status: 'pending',
+      changes: { name: 'Navruz Palace' },
+      previous: { name: 'Navruz' },
+    };
+
+    // The conditional update only matches while the revision is pending
+    jest
+      .spyOn(VenueRevision, 'findOneAndUpdate')
+      .mockImplementation(async (filter, update) => {
+        if (stored.status !== filter.status) return null;
+        Object.assign(stored, update);
+        return VenueRevision.hydrate({ ...stored });
+      });
+    jest.spyOn(VenueRevision, 'findById').mockImplementation(() => ({
+      select: async () => ({ status: stored.status }),
+    }));
+
+    venue = { set: jest.fn(), save: jest.fn() };
+    jest.spyOn(Venue, 'findById').mockResolvedValue(venue);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies an approved revision to the venue', async () => {
+    const revision = VenueRevision.hydrate({ ...stored });
+
+    await revision.approve(ADMIN);
+
+    expect(revision.status).toBe('approved');
+    expect(venue.set).toHaveBeenCalledWith({ name: 'Navruz Palace' });
+    expect(venue.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('applies the changes once when approve and reject race', async () => {
+    const results = await Promise.allSettled([
+      VenueRevision.hydrate({ ...stored }).reject(ADMIN, 'Wrong name'),
+      VenueRevision.hydrate({ ...stored }).approve(ADMIN),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual([
+      'fulfilled',
+      'rejected',
+    ]);
+    expect(results[1].reason.message).toBe('Revision has already been rejected');
+    expect(venue.save).not.toHaveBeenCalled();
+  });
+});
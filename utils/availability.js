@@ -0,0 +1,79 @@
+const { listSlots, resolveSlot, slotsOverlap } = require('./timeSlots');
+const { startOfDay, addDays } = require('./dateUtils');
+
+const MAX_RANGE_DAYS = 366;
+
+const toDateKey = (date) => startOfDay(date).toISOString().slice(0, 10);
+
+// Find an owner-defined block covering the slot on the given date.
+// A block without a slot name closes the whole day.
+const findBlock = (venue, date, slot) => {
+  const key = toDateKey(date);
+
+  return (
+    (venue.blocked_dates || []).find((block) => {
+      if (toDateKey(block.date) !== key) return false;
+      if (!block.slot_name) return true;
+
+      const blockedSlot = resolveSlot(venue, block.slot_name);
+      return !blockedSlot || slotsOverlap(blockedSlot, slot);
+    }) || null
+  );
+};
+
+const dayStatus = (slotStatuses) => {
+  if (slotStatuses.every((status) => status === 'free')) return 'free';
+  if (slotStatuses.every((status) => status === 'blocked')) return 'blocked';
+  if (slotStatuses.includes('free')) return 'partial';
+  return 'booked';
+};
+
+// Build a per-day, per-slot availability map for a venue. Only slot times
+// and states are exposed, never who booked or how many guests are coming.
+const buildAvailability = (venue, bookings, from, to) => {
+  const slots = listSlots(venue);
+  const today = startOfDay(new Date());
+
+  const bookingsByDay = bookings.reduce((days, booking) => {
+    const key = toDateKey(booking.reservation_date);
+    (days[key] = days[key] || []).push(booking);
+    return days;
+  }, {});
+
+  const days = [];
+  for (let day = startOfDay(from); day <= to; day = addDays(day, 1)) {
+    const key = toDateKey(day);
+    const dayBookings = bookingsByDay[key] || [];
+
+    const slotStates = slots.map((slot) => {
+      let status = 'free';
+      if (day < today || findBlock(venue, day, slot)) {
+        status = 'blocked';
+      } else if (dayBookings.some((booking) => slotsOverlap(booking, slot))) {
+        status = 'booked';
+      }
+
+      return {
+        name: slot.name,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        status,
+      };
+    });
+
+    days.push({
+      date: key,
+      status: dayStatus(slotStates.map((slot) => slot.status)),
+      slots: slotStates,
+    });
+  }
+
+  return days;
+};
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  toDateKey,
+  findBlock,
+  buildAvailability,
+};
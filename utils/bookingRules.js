@@ -0,0 +1,60 @@
+const Booking = require('../models/bookingModel');
+const AppError = require('./appError');
+const { resolveSlot } = require('./timeSlots');
+const { findBlock } = require('./availability');
+const { VENUE_STATUS } = require('./venueStatus');
+
+// Checks shared by booking creation and quotes. Resolves to the time slot
+// being booked or rejects with an AppError describing the first problem.
+const assertBookable = async (
+  venue,
+  { reservation_date, slot, guest_count, excludeId }
+) => {
+  // Check if venue is approved
+  if (venue.status !== VENUE_STATUS.APPROVED) {
+    throw new AppError('Venue is not approved for bookings', 400);
+  }
+
+  // Check if guest count exceeds venue capacity
+  if (guest_count > venue.capacity) {
+    throw new AppError(
+      `Guest count exceeds venue capacity of ${venue.capacity}`,
+      400
+    );
+  }
+
+  // Check if the requested time slot exists for the venue
+  const timeSlot = resolveSlot(venue, slot);
+  if (!timeSlot) {
+    throw new AppError(`Venue has no time slot named ${slot}`, 400);
+  }
+
+  // Check if the owner has closed the venue for that date or slot
+  if (findBlock(venue, reservation_date, timeSlot)) {
+    throw new AppError(
+      'Venue is not available for this date and time slot',
+      400
+    );
+  }
+
+  // Check if the slot overlaps another booking on that date
+  const existingBooking = await Booking.findConflict({
+    venue_id: venue._id,
+    reservation_date,
+    slot: timeSlot,
+    excludeId,
+  });
+
+  if (existingBooking) {
+    throw new AppError(
+      'Venue is already booked for this date and time slot',
+      400
+    );
+  }
+
+  return timeSlot;
+};
+
+module.exports = {
+  assertBookable,
+};
@@ -0,0 +1,72 @@
+const AppError = require('./appError');
+
+const BOOKING_STATUS = Object.freeze({
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed',
+  NO_SHOW: 'no_show',
+});
+
+// Bookings in these states keep their slot occupied
+const ACTIVE_STATUSES = [
+  BOOKING_STATUS.PENDING,
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.COMPLETED,
+  BOOKING_STATUS.NO_SHOW,
+];
+
+// Allowed transitions and the parties that may perform them. "client" is
+// the user who made the booking, "owner" the venue side (its owner or staff
+// acting for it, see BOOKING_PARTIES in config/permissions) and "system"
+// the scheduled jobs.
+const TRANSITIONS = {
+  [BOOKING_STATUS.PENDING]: {
+    [BOOKING_STATUS.CONFIRMED]: ['owner', 'admin', 'system'],
+    [BOOKING_STATUS.REJECTED]: ['owner', 'admin'],
+    [BOOKING_STATUS.CANCELLED]: ['client', 'admin', 'system'],
+  },
+  [BOOKING_STATUS.CONFIRMED]: {
+    [BOOKING_STATUS.CANCELLED]: ['client', 'owner', 'admin'],
+    [BOOKING_STATUS.COMPLETED]: ['owner', 'admin', 'system'],
+    [BOOKING_STATUS.NO_SHOW]: ['owner', 'admin'],
+  },
+};
+
+// These can only be set once the reservation date has passed
+const POST_EVENT_STATUSES = [BOOKING_STATUS.COMPLETED, BOOKING_STATUS.NO_SHOW];
+
+// Throw an AppError unless one of the actor roles may move a booking
+// from one status to the other. Returns the role the change is made as.
+const assertTransition = (from, to, roles, reservationDate) => {
+  if (from === to) {
+    throw new AppError(`Booking is already ${to}`, 400);
+  }
+
+  const allowedRoles = (TRANSITIONS[from] || {})[to];
+  if (!allowedRoles) {
+    throw new AppError(`Cannot change booking status from ${from} to ${to}`, 400);
+  }
+
+  const actorRole = roles.find((role) => allowedRoles.includes(role));
+  if (!actorRole) {
+    throw new AppError(`Not authorized to change booking status to ${to}`, 403);
+  }
+
+  if (POST_EVENT_STATUSES.includes(to) && new Date(reservationDate) > new Date()) {
+    throw new AppError(
+      `Booking can only be marked ${to} after the reservation date`,
+      400
+    );
+  }
+
+  return actorRole;
+};
+
+module.exports = {
+  BOOKING_STATUS,
+  ACTIVE_STATUSES,
+  TRANSITIONS,
+  assertTransition,
+};
@@ -0,0 +1,24 @@
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Bookings are stored per calendar day, so every date is normalized to
+// UTC midnight before comparing or querying.
+exports.startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+exports.addDays = (date, days) => new Date(new Date(date).getTime() + days * MS_PER_DAY);
+
+// Mongo range matching every timestamp that falls on the same day
+exports.dayRange = (date) => {
+  const start = exports.startOfDay(date);
+  return { $gte: start, $lt: exports.addDays(start, 1) };
+};
+
+// UTC midnight on the first day of the date's month
+exports.startOfMonth = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+};
+
+exports.MS_PER_DAY = MS_PER_DAY;
@@ -0,0 +1,28 @@
+const AppError = require('./appError');
+
+// Apply a review decision to a document that must still be pending, in one
+// conditional update, so of two concurrent decisions only the first wins
+// and side effects run once. The document is updated in place. Rejects with
+// a 400 naming the status it already had.
+const decidePending = async (doc, label, update) => {
+  const Model = doc.constructor;
+
+  const decided = await Model.findOneAndUpdate(
+    { _id: doc._id, status: 'pending' },
+    update,
+    { new: true, runValidators: true }
+  );
+
+  if (!decided) {
+    const current = await Model.findById(doc._id).select('status');
+    throw new AppError(
+      `${label} has already been ${current ? current.status : 'removed'}`,
+      400
+    );
+  }
+
+  doc.init(decided.toObject());
+  return doc;
+};
+
+module.exports = decidePending;
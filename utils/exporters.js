@@ -0,0 +1,107 @@
+const ExcelJS = require('exceljs');
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Stop reading rows: a cursor is closed, a generator is returned so its
+// own cleanup runs
+const closeRows = async (rows) => {
+  if (typeof rows.close === 'function') return rows.close();
+  if (typeof rows.return === 'function') return rows.return();
+};
+
+// Hand each row to write until the rows run out or the client goes away.
+// A closed response never drains, so waiting for it also ends on close, and
+// the rows are closed then instead of being read for nobody. Resolves to
+// false when the download was aborted.
+const eachRow = async (res, rows, write) => {
+  let aborted = false;
+  const onClose = () => {
+    if (res.writableFinished) return;
+    aborted = true;
+    closeRows(rows).catch(() => {});
+  };
+  res.on('close', onClose);
+
+  const waitForDrain = () =>
+    new Promise((resolve) => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+
+  try {
+    for await (const row of rows) {
+      if (aborted) break;
+      await write(row);
+      if (!aborted && res.writableNeedDrain) await waitForDrain();
+      if (aborted) break;
+    }
+  } catch (error) {
+    // Reading from a cursor closed under it fails; that is expected here
+    if (!aborted) throw error;
+  } finally {
+    res.off('close', onClose);
+  }
+  return !aborted;
+};
+
+// Write rows to the response as CSV while they arrive, waiting for the
+// client to catch up whenever the socket buffer is full
+const writeCsv = async (res, columns, rows) => {
+  const toLine = (cells) => `${cells.map(toCsvCell).join(',')}\r\n`;
+
+  res.write(toLine(columns.map((column) => column.header)));
+  const complete = await eachRow(res, rows, (row) => {
+    res.write(toLine(columns.map((column) => row[column.key])));
+  });
+  if (complete) res.end();
+};
+
+// Write rows to the response as an XLSX workbook with the streaming writer,
+// committing each row so it is flushed instead of kept in memory
+const writeXlsx = async (res, columns, rows, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+  });
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31));
+
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(12, column.header.length + 2),
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  const complete = await eachRow(res, rows, (row) => {
+    sheet.addRow(row).commit();
+  });
+  // The workbook would wait forever for a response that already closed
+  if (!complete) return;
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+module.exports = {
+  closeRows,
+  writeCsv,
+  writeXlsx,
+};
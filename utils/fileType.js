@@ -0,0 +1,61 @@
+// Image formats accepted for upload, recognised by their first bytes
+// rather than the file name or the type the client claims
+const IMAGE_TYPES = {
+  jpeg: {
+    mime: 'image/jpeg',
+    extension: '.jpg',
+    matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  },
+  png: {
+    mime: 'image/png',
+    extension: '.png',
+    matches: (bytes) =>
+      bytes.subarray(0, 8).equals(
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+      ),
+  },
+  webp: {
+    mime: 'image/webp',
+    extension: '.webp',
+    matches: (bytes) =>
+      bytes.toString('ascii', 0, 4) === 'RIFF' &&
+      bytes.toString('ascii', 8, 12) === 'WEBP',
+  },
+};
+
+// Supporting documents: PDFs or scans and photos of them
+const DOCUMENT_TYPES = {
+  pdf: {
+    mime: 'application/pdf',
+    extension: '.pdf',
+    matches: (bytes) => bytes.toString('ascii', 0, 5) === '%PDF-',
+  },
+  jpeg: IMAGE_TYPES.jpeg,
+  png: IMAGE_TYPES.png,
+};
+
+const IMAGE_MIME_TYPES = Object.values(IMAGE_TYPES).map((type) => type.mime);
+const DOCUMENT_MIME_TYPES = Object.values(DOCUMENT_TYPES).map(
+  (type) => type.mime
+);
+
+// The first of the types the buffer matches, or null
+const detectType = (types, buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  const name = Object.keys(types).find((key) => types[key].matches(buffer));
+  return name ? { name, ...types[name] } : null;
+};
+
+// The accepted image type of the buffer, or null
+const detectImageType = (buffer) => detectType(IMAGE_TYPES, buffer);
+
+// The accepted document type of the buffer, or null
+const detectDocumentType = (buffer) => detectType(DOCUMENT_TYPES, buffer);
+
+module.exports = {
+  IMAGE_MIME_TYPES,
+  DOCUMENT_MIME_TYPES,
+  detectImageType,
+  detectDocumentType,
+};
@@ -0,0 +1,60 @@
+const sharp = require('sharp');
+const AppError = require('./appError');
+
+// Sizes generated for every uploaded photo. Thumbnails and cards are
+// cropped to fill their box; full size keeps the whole picture.
+const IMAGE_SIZES = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  card: { width: 640, height: 427, fit: 'cover' },
+  full: { width: 1920, height: 1920, fit: 'inside' },
+};
+
+// Encoder settings per output format; AVIF effort is kept low so uploads
+// do not wait on the encoder for long
+const IMAGE_FORMATS = {
+  webp: { quality: 80 },
+  avif: { quality: 55, effort: 2 },
+};
+
+// The format image_url points at, understood by every current browser
+const DEFAULT_FORMAT = 'webp';
+
+// Resize and re-encode a photo into every size and format. The picture is
+// rotated upright first; the output carries no EXIF, GPS or other metadata.
+// Resolves to [{ size, format, buffer, width, height }].
+const processImage = async (buffer, name = 'Image') => {
+  let upright;
+  try {
+    upright = await sharp(buffer).rotate().toBuffer();
+  } catch (error) {
+    throw new AppError(`${name} is not a valid image`, 400);
+  }
+
+  const jobs = [];
+  for (const [size, box] of Object.entries(IMAGE_SIZES)) {
+    for (const [format, options] of Object.entries(IMAGE_FORMATS)) {
+      jobs.push(
+        sharp(upright)
+          .resize({ ...box, withoutEnlargement: true })
+          .toFormat(format, options)
+          .toBuffer({ resolveWithObject: true })
+          .then(({ data, info }) => ({
+            size,
+            format,
+            buffer: data,
+            width: info.width,
+            height: info.height,
+          }))
+      );
+    }
+  }
+
+  return Promise.all(jobs);
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  IMAGE_FORMATS,
+  DEFAULT_FORMAT,
+  processImage,
+};
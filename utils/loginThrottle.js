@@ -0,0 +1,112 @@
+const AppError = require('./appError');
+const { getLoginStore } = require('../providers/loginStore');
+
+const WINDOW_MS = Number(process.env.LOGIN_FAILURE_WINDOW_MS) || 15 * 60 * 1000;
+const LOCK_MS = Number(process.env.LOGIN_LOCK_DURATION_MS) || 15 * 60 * 1000;
+// Failures allowed before every further attempt has to wait
+const FREE_FAILURES = 3;
+const MAX_DELAY_MS = 30 * 1000;
+
+// Failed attempts are counted per account and per client IP. An IP sees
+// many accounts, so it gets a higher lockout threshold.
+const SUBJECTS = {
+  account: {
+    lockAfter: Number(process.env.LOGIN_ACCOUNT_MAX_FAILURES) || 10,
+  },
+  ip: {
+    lockAfter: Number(process.env.LOGIN_IP_MAX_FAILURES) || 50,
+  },
+};
+
+const getKeys = (req, username) => [
+  { subject: 'account', key: `account:${String(username).trim()}` },
+  { subject: 'ip', key: `ip:${req.ip}` },
+];
+
+// Wait required after the last failure: 1s, 2s, 4s ... up to 30s
+const requiredDelay = (failures) =>
+  failures < FREE_FAILURES
+    ? 0
+    : Math.min(1000 * 2 ** (failures - FREE_FAILURES), MAX_DELAY_MS);
+
+// When the entry may next try to log in; null if it may try now
+const blockedUntil = (entry, now = new Date()) => {
+  if (!entry) return null;
+
+  if (entry.locked_until && entry.locked_until > now) {
+    return entry.locked_until;
+  }
+
+  const waitUntil = new Date(
+    entry.last_failed_at.getTime() + requiredDelay(entry.failures)
+  );
+  return waitUntil > now ? waitUntil : null;
+};
+
+const tooManyAttempts = (until, locked) => {
+  const error = new AppError(
+    locked
+      ? 'Too many failed login attempts. The account is temporarily locked.'
+      : 'Too many failed login attempts. Please wait before trying again.',
+    429
+  );
+  error.retryAfter = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+  return error;
+};
+
+// Reject with 429 while the account or the client IP has to wait or is locked
+const assertLoginAllowed = async (req, username) => {
+  const store = getLoginStore();
+  const now = new Date();
+
+  for (const { key } of getKeys(req, username)) {
+    const entry = await store.get(key);
+    const until = blockedUntil(entry, now);
+    if (until) {
+      throw tooManyAttempts(until, entry.locked_until > now);
+    }
+  }
+};
+
+// Count a failed login and lock whichever subject crossed its threshold
+const recordLoginFailure = async (req, username) => {
+  const store = getLoginStore();
+
+  for (const { subject, key } of getKeys(req, username)) {
+    const entry = await store.recordFailure(key, WINDOW_MS);
+    if (entry.failures >= SUBJECTS[subject].lockAfter) {
+      await store.lock(key, new Date(Date.now() + LOCK_MS));
+    }
+  }
+};
+
+// A successful login forgets the account's failures; the IP's decay on their own
+const recordLoginSuccess = async (req, username) => {
+  const [account] = getKeys(req, username);
+  await getLoginStore().clear(account.key);
+};
+
+// Entries for the admin view, with the time each one is blocked until
+const listLoginAttempts = async () => {
+  const now = new Date();
+  const entries = await getLoginStore().list();
+
+  return entries.map((entry) => {
+    const until = blockedUntil(entry, now);
+    return {
+      ...entry,
+      locked: Boolean(entry.locked_until && entry.locked_until > now),
+      blocked_until: until,
+    };
+  });
+};
+
+const clearLoginAttempts = (key) => getLoginStore().clear(key);
+
+module.exports = {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  listLoginAttempts,
+  clearLoginAttempts,
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const {
+  IMAGE_SIZES,
+  IMAGE_FORMATS,
+  DEFAULT_FORMAT,
+  processImage,
+} = require('./imageProcessing');
+const { getStorage } = require('../providers/storage');
+
+const CONTENT_TYPES = {
+  webp: 'image/webp',
+  avif: 'image/avif',
+};
+
+// Remove stored files. Failures are logged rather than thrown, so cleanup
+// never hides the error that caused it and a missing object never blocks
+// deleting its document.
+const removeFiles = async (keys) => {
+  if (keys.length === 0) return;
+
+  try {
+    await getStorage().remove(keys);
+  } catch (error) {
+    console.error(`Could not remove stored files: ${error.message}`);
+  }
+};
+
+// Every stored file of an image: the main file and all of its variants.
+// Takes an Image document or the plain fields saveImages resolves to.
+const imageKeys = (image) => {
+  const { storage_key, variants = {} } =
+    typeof image.toObject === 'function' ? image.toObject() : image;
+
+  const keys = new Set(storage_key ? [storage_key] : []);
+  Object.keys(IMAGE_SIZES).forEach((size) =>
+    Object.keys(IMAGE_FORMATS).forEach((format) => {
+      const file = (variants[size] || {})[format];
+      if (file && file.storage_key) keys.add(file.storage_key);
+    })
+  );
+  return [...keys];
+};
+
+// Temporary link to a file kept under private/
+const signedUrl = (key, expiresIn) =>
+  getStorage().getSignedUrl(key, { expiresIn });
+
+// Store uploaded documents under private/, where they have no public URL
+// and can only be read through signedUrl. Resolves to one entry per file
+// with its storage_key, original name, content type and size. If one
+// fails, every file already written is removed before rejecting.
+const saveDocuments = async (files, folder) => {
+  const storage = getStorage();
+  const written = [];
+  try {
+    const saved = [];
+    for (const file of files) {
+      const type = file.documentType;
+      const key = `private/${folder}/${Date.now()}-${crypto
+        .randomBytes(8)
+        .toString('hex')}${type.extension}`;
+      await storage.put(key, file.buffer, { contentType: type.mime });
+      written.push(key);
+
+      saved.push({
+        storage_key: key,
+        name: file.originalname,
+        content_type: type.mime,
+        bytes: file.buffer.length,
+      });
+    }
+    return saved;
+  } catch (error) {
+    await removeFiles(written);
+    throw error;
+  }
+};
+
+// Process an uploaded photo into its variants and store them all under one
+// folder. Resolves to the fields of the Image document: image_url and
+// storage_key point at the full size, variants[size][format] at each file.
+// Files written before a failure are passed to onWritten so they can be
+// cleaned up.
+const saveImage = async (file, folder, onWritten) => {
+  const storage = getStorage();
+  const outputs = await processImage(file.buffer, file.originalname);
+  const base = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+
+  const variants = {};
+  for (const output of outputs) {
+    const key = `${base}/${output.size}.${output.format}`;
+    await storage.put(key, output.buffer, {
+      contentType: CONTENT_TYPES[output.format],
+    });
+    onWritten(key);
+
+    variants[output.size] = variants[output.size] || {};
+    variants[output.size][output.format] = {
+      url: storage.getUrl(key),
+      storage_key: key,
+      width: output.width,
+      height: output.height,
+      bytes: output.buffer.length,
+    };
+  }
+
+  const main = variants.full[DEFAULT_FORMAT];
+  return { image_url: main.url, storage_key: main.storage_key, variants };
+};
+
+// Store every uploaded photo of a request. If one fails, every file
+// already written is removed before rejecting.
+const saveImages = async (files, folder = 'venues') => {
+  const written = [];
+  try {
+    const saved = [];
+    for (const file of files) {
+      saved.push(await saveImage(file, folder, (key) => written.push(key)));
+    }
+    return saved;
+  } catch (error) {
+    await removeFiles(written);
+    throw error;
+  }
+};
+
+module.exports = {
+  saveImages,
+  saveDocuments,
+  removeFiles,
+  imageKeys,
+  signedUrl,
+};
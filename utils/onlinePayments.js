@@ -0,0 +1,141 @@
+const Payment = require('../models/paymentModel');
+const Booking = require('../models/bookingModel');
+const AppError = require('./appError');
+const { PAYMENT_RECORD_STATUS } = require('./payments');
+const { getPaymentProvider } = require('../providers/payment');
+
+// What the client still owes right now: the rest of the deposit while it
+// is unmet, the remaining balance afterwards
+const amountDue = (booking) =>
+  booking.amount_paid < booking.deposit_required
+    ? booking.deposit_required - booking.amount_paid
+    : booking.balance;
+
+// The booking's online invoice that is still open and can be paid
+const findOpenInvoice = (booking) =>
+  Payment.findOne({
+    booking_id: booking._id,
+    method: 'online',
+    status: PAYMENT_RECORD_STATUS.PENDING,
+    expires_at: { $gt: new Date() },
+  });
+
+// Open an invoice with the configured provider and record it as a pending
+// online payment. A booking has at most one open invoice: while one can
+// still be paid it is handed out again instead of opening another.
+const createInvoice = async (booking, user) => {
+  const amount = amountDue(booking);
+  if (amount <= 0) {
+    throw new AppError('Nothing is due for this booking', 400);
+  }
+
+  const open = await findOpenInvoice(booking);
+  if (open) return open;
+
+  // Invoices that ran out can no longer be paid (see processCallback);
+  // closing them makes room for the new one
+  await Payment.updateMany(
+    {
+      booking_id: booking._id,
+      method: 'online',
+      status: PAYMENT_RECORD_STATUS.PENDING,
+    },
+    { status: PAYMENT_RECORD_STATUS.EXPIRED }
+  );
+
+  const provider = getPaymentProvider();
+  const invoice = await provider.createInvoice({
+    amount,
+    description: `Booking ${booking._id}`,
+  });
+
+  try {
+    return await Payment.create({
+      booking_id: booking._id,
+      type: 'payment',
+      method: 'online',
+      amount,
+      status: PAYMENT_RECORD_STATUS.PENDING,
+      provider: provider.name,
+      provider_invoice_id: invoice.provider_invoice_id,
+      payment_url: invoice.payment_url,
+      expires_at: invoice.expires_at,
+      recorded_by: user._id,
+    });
+  } catch (error) {
+    // A concurrent request opened one first; the unique index on open
+    // invoices keeps it the only one
+    if (error.code !== 11000) throw error;
+    const winner = await findOpenInvoice(booking);
+    if (!winner) throw error;
+    return winner;
+  }
+};
+
+// Apply a provider callback. The signature is verified before anything is
+// read from the database, and repeated callbacks for an invoice that is no
+// longer pending change nothing.
+const processCallback = async (providerName, body, headers = {}) => {
+  const provider = getPaymentProvider(providerName);
+  const callback = await provider.verifyCallback(body, headers);
+
+  const payment = await Payment.findOne({
+    provider: provider.name,
+    provider_invoice_id: callback.provider_invoice_id,
+  });
+
+  if (!payment) {
+    throw new AppError('Invoice not found', 404);
+  }
+
+  if (payment.status !== PAYMENT_RECORD_STATUS.PENDING) {
+    return { payment, duplicate: true };
+  }
+
+  // A late callback cannot pay an invoice that already ran out; the
+  // invoice is closed as expired instead
+  if (
+    callback.status !== PAYMENT_RECORD_STATUS.EXPIRED &&
+    payment.expires_at &&
+    payment.expires_at.getTime() <= Date.now()
+  ) {
+    await Payment.updateOne(
+      { _id: payment._id, status: PAYMENT_RECORD_STATUS.PENDING },
+      { status: PAYMENT_RECORD_STATUS.EXPIRED }
+    );
+    throw new AppError('Invoice has expired', 400);
+  }
+
+  if (
+    callback.status === PAYMENT_RECORD_STATUS.SUCCEEDED &&
+    callback.amount !== payment.amount
+  ) {
+    throw new AppError('Paid amount does not match the invoice', 400);
+  }
+
+  // Only one of several concurrent deliveries gets to settle the invoice
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: PAYMENT_RECORD_STATUS.PENDING },
+    {
+      status: callback.status,
+      provider_transaction_id: callback.transaction_id,
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { payment: await Payment.findById(payment._id), duplicate: true };
+  }
+
+  if (updated.status === PAYMENT_RECORD_STATUS.SUCCEEDED) {
+    const booking = await Booking.findById(updated.booking_id);
+    if (booking) await booking.syncPayments();
+  }
+
+  return { payment: updated, duplicate: false };
+};
+
+module.exports = {
+  createInvoice,
+  processCallback,
+};
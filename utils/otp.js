@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const Otp = require('../models/otpModel');
+const AppError = require('./appError');
+const { getSmsProvider } = require('../providers/sms');
+
+const CODE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute
+const MAX_CODES_PER_HOUR = 5;
+const MAX_ATTEMPTS = 5;
+
+const hashCode = (phone, code) =>
+  crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${phone}:${code}`)
+    .digest('hex');
+
+const MESSAGES = {
+  login: (code) => `Toyxona: your login code is ${code}`,
+  verify_phone: (code) => `Toyxona: your verification code is ${code}`,
+};
+
+// Create a one-time code and text it to the phone. Rejects with 429 when
+// codes are requested too often for the same phone.
+const sendOtp = async ({ phone, purpose, userId }) => {
+  const now = Date.now();
+
+  const recent = await Otp.find({
+    phone,
+    purpose,
+    createdAt: { $gte: new Date(now - 60 * 60 * 1000) },
+  })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+
+  if (recent.length && now - recent[0].createdAt < RESEND_COOLDOWN_MS) {
+    throw new AppError('Please wait a minute before requesting a new code', 429);
+  }
+  if (recent.length >= MAX_CODES_PER_HOUR) {
+    throw new AppError('Too many codes requested. Try again later.', 429);
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  // A new code replaces any earlier one
+  await Otp.updateMany(
+    { phone, purpose, consumed_at: { $exists: false } },
+    { consumed_at: new Date() }
+  );
+  await Otp.create({
+    phone,
+    purpose,
+    user_id: userId,
+    code_hash: hashCode(phone, code),
+    expires_at: new Date(now + CODE_TTL_MS),
+  });
+
+  await getSmsProvider().send({ to: phone, message: MESSAGES[purpose](code) });
+};
+
+// Check a code and use it up. Resolves to the code record on success.
+const verifyOtp = async ({ phone, purpose, code }) => {
+  const active = {
+    phone,
+    purpose,
+    consumed_at: { $exists: false },
+    expires_at: { $gt: new Date() },
+  };
+
+  // Every guess takes up an attempt before the code is compared, so
+  // parallel guesses cannot get past the limit
+  const otp = await Otp.findOneAndUpdate(
+    { ...active, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 }, new: true }
+  );
+
+  if (!otp) {
+    if (await Otp.exists(active)) {
+      throw new AppError('Too many wrong attempts. Please request a new code.', 429);
+    }
+    throw new AppError('Code has expired. Please request a new one.', 400);
+  }
+
+  const expected = Buffer.from(otp.code_hash);
+  const received = Buffer.from(hashCode(phone, String(code)));
+  if (!crypto.timingSafeEqual(expected, received)) {
+    throw new AppError('Invalid code', 400);
+  }
+
+  // Only the first of concurrent requests gets to use the code
+  const consumed = await Otp.findOneAndUpdate(
+    { _id: otp._id, consumed_at: { $exists: false } },
+    { consumed_at: new Date() },
+    { new: true }
+  );
+  if (!consumed) {
+    throw new AppError('Code has already been used', 400);
+  }
+
+  return consumed;
+};
+
+module.exports = {
+  sendOtp,
+  verifyOtp,
+};
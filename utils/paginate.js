@@ -0,0 +1,109 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Only plain field paths may be sorted or selected, and never the password
+const FIELD_PATTERN = /^[A-Za-z_][\w.]*$/;
+const isAllowedField = (field) =>
+  FIELD_PATTERN.test(field) && field.split('.')[0] !== 'password';
+
+const parseList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// "-price_seat,name" -> { price_seat: -1, name: 1, _id: 1 }
+const parseSort = (value, defaultSort) => {
+  const sort = {};
+  parseList(value).forEach((item) => {
+    const field = item.replace(/^-/, '');
+    if (isAllowedField(field)) sort[field] = item.startsWith('-') ? -1 : 1;
+  });
+
+  const result = Object.keys(sort).length ? sort : { ...defaultSort };
+  // Tie-break on _id so pages never overlap
+  if (!result._id) result._id = 1;
+  return result;
+};
+
+// Paths the schema hides with select: false, including those of nested
+// documents, e.g. ['staff', 'blocked_dates.reason']
+const hiddenPaths = (schema, prefix = '') => {
+  const paths = [];
+  schema.eachPath((name, type) => {
+    if (type.options && type.options.select === false) {
+      paths.push(`${prefix}${name}`);
+    }
+    if (type.schema) paths.push(...hiddenPaths(type.schema, `${prefix}${name}.`));
+  });
+  return paths;
+};
+
+// Selecting a hidden path, or a path around one, would bring it back, so
+// such fields are dropped
+const parseFields = (value, schema) => {
+  const hidden = hiddenPaths(schema);
+  return parseList(value)
+    .filter(isAllowedField)
+    .filter(
+      (field) =>
+        !hidden.some(
+          (path) =>
+            path === field ||
+            path.startsWith(`${field}.`) ||
+            field.startsWith(`${path}.`)
+        )
+    )
+    .join(' ');
+};
+
+const buildLink = (req, page, limit) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.set('page', page);
+  url.searchParams.set('limit', limit);
+  return `${url.pathname}${url.search}`;
+};
+
+// Run a paginated, sorted list query for a model using the page, limit,
+// sort and fields query parameters. Resolves to the response envelope used
+// by every list endpoint: { count, total, pagination, data }.
+const paginate = async (req, Model, filter = {}, options = {}) => {
+  const { populate = [], sort = { createdAt: -1 } } = options;
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  const query = Model.find(filter)
+    .sort(parseSort(req.query.sort, sort))
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const fields = parseFields(req.query.fields, Model.schema);
+  if (fields) query.select(fields);
+
+  populate.forEach((path) => query.populate(path));
+
+  const [data, total] = await Promise.all([
+    query,
+    Model.countDocuments(filter),
+  ]);
+  const pages = Math.max(Math.ceil(total / limit), 1);
+
+  return {
+    count: data.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      pages,
+      next: page < pages ? buildLink(req, page + 1, limit) : null,
+      prev: page > 1 ? buildLink(req, Math.min(page - 1, pages), limit) : null,
+    },
+    data,
+  };
+};
+
+module.exports = paginate;
@@ -0,0 +1,46 @@
+const PAYMENT_STATUS = Object.freeze({
+  UNPAID: 'unpaid',
+  PARTIALLY_PAID: 'partially_paid',
+  DEPOSIT_PAID: 'deposit_paid',
+  PAID: 'paid',
+  REFUNDED: 'refunded',
+});
+
+// Methods owners can record by hand. Provider payments use "online".
+const PAYMENT_METHODS = ['cash', 'card', 'transfer'];
+
+const PAYMENT_RECORD_STATUS = Object.freeze({
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  EXPIRED: 'expired',
+});
+
+// Money fields of a booking for the given totals. Amounts are whole som.
+const paymentSummary = ({ total = 0, deposit = 0, paid = 0, refunded = 0 }) => {
+  let status;
+  if (paid <= 0) {
+    status = refunded > 0 ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.UNPAID;
+  } else if (paid >= total) {
+    status = PAYMENT_STATUS.PAID;
+  } else if (paid >= deposit) {
+    status = PAYMENT_STATUS.DEPOSIT_PAID;
+  } else {
+    status = PAYMENT_STATUS.PARTIALLY_PAID;
+  }
+
+  return {
+    total_amount: total,
+    deposit_required: deposit,
+    amount_paid: Math.max(paid, 0),
+    balance: Math.max(total - paid, 0),
+    payment_status: status,
+  };
+};
+
+module.exports = {
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  PAYMENT_RECORD_STATUS,
+  paymentSummary,
+};
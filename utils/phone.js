@@ -0,0 +1,14 @@
+// Normalize an Uzbek phone number to +998XXXXXXXXX. Accepts spaces, dashes,
+// brackets, an optional country code and the 9-digit local form. Returns
+// null for anything else.
+const normalizePhone = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+
+  if (digits.length === 9) return `+998${digits}`;
+  if (digits.length === 12 && digits.startsWith('998')) return `+${digits}`;
+  return null;
+};
+
+module.exports = {
+  normalizePhone,
+};
@@ -0,0 +1,68 @@
+const {
+  ROLE_PERMISSIONS,
+  RELATION_PERMISSIONS,
+  BOOKING_PARTIES,
+} = require('../config/permissions');
+
+// Id of a reference whether or not it was populated
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+const isUser = (user, ref) =>
+  Boolean(ref) && String(idOf(ref)) === String(user._id);
+
+// How the user relates to the given resources. Pass the venue along with
+// a booking or image so venue owners and staff are recognised.
+const getRelations = (user, { venue, booking, application } = {}) => {
+  const relations = [];
+
+  if (venue) {
+    if (isUser(user, venue.owner_id)) relations.push('owner');
+
+    (venue.staff || [])
+      .filter(
+        (member) => member.status === 'active' && isUser(user, member.user_id)
+      )
+      .forEach((member) => relations.push(member.role));
+  }
+
+  if (booking && isUser(user, booking.user_id)) relations.push('client');
+  if (application && isUser(user, application.user_id)) {
+    relations.push('applicant');
+  }
+
+  return relations;
+};
+
+const rolePermits = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+// Whether the user has the permission, either through their account role
+// or through their relation to the resources in the context
+const can = (user, permission, context) => {
+  if (!user) return false;
+  if (rolePermits(user.role, permission)) return true;
+
+  return getRelations(user, context).some((relation) =>
+    (RELATION_PERMISSIONS[relation] || []).includes(permission)
+  );
+};
+
+// Parties the user may act as when changing a booking's status. Only
+// roles and relations holding booking:change_status count.
+const getBookingParties = (user, booking, venue) => {
+  const names = getRelations(user, { venue, booking }).filter((relation) =>
+    (RELATION_PERMISSIONS[relation] || []).includes('booking:change_status')
+  );
+  if (rolePermits(user.role, 'booking:change_status')) names.push(user.role);
+
+  const parties = names.map((name) => BOOKING_PARTIES[name]).filter(Boolean);
+  return [...new Set(parties)];
+};
+
+module.exports = {
+  getRelations,
+  can,
+  getBookingParties,
+};
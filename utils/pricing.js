@@ -0,0 +1,147 @@
+const { startOfDay } = require('./dateUtils');
+const AppError = require('./appError');
+
+const WEEKDAYS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+
+const MONTH_DAY_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// Seasons recur every year and are given as "MM-DD" bounds. A season
+// whose end comes before its start wraps over the new year.
+const inSeason = (season, date) => {
+  const monthDay = date.toISOString().slice(5, 10);
+  if (season.start <= season.end) {
+    return monthDay >= season.start && monthDay <= season.end;
+  }
+  return monthDay >= season.start || monthDay <= season.end;
+};
+
+// Price a booking of the venue on the given date. A date override replaces
+// the seat price outright; otherwise weekday and season multipliers are
+// applied to the base price. Requested extras are added, the best matching
+// guest-count discount is taken off and the deposit is a share of the
+// total. The result is stored on the booking as its price snapshot.
+const calculatePrice = (venue, date, guestCount, extraNames = []) => {
+  const pricing = venue.pricing || {};
+  const day = startOfDay(date);
+  const basePrice = venue.price_seat;
+  const appliedRules = [];
+  let priceSeat;
+
+  const override = (pricing.date_overrides || []).find(
+    (rule) => startOfDay(rule.date).getTime() === day.getTime()
+  );
+
+  if (override) {
+    priceSeat = override.price_seat;
+    appliedRules.push({
+      type: 'date_override',
+      label: override.label || day.toISOString().slice(0, 10),
+      price_seat: override.price_seat,
+    });
+  } else {
+    let multiplier = 1;
+
+    const weekday = (pricing.weekday_multipliers || []).find(
+      (rule) => rule.day === day.getUTCDay()
+    );
+    if (weekday) {
+      multiplier *= weekday.multiplier;
+      appliedRules.push({
+        type: 'weekday',
+        label: WEEKDAYS[weekday.day],
+        multiplier: weekday.multiplier,
+      });
+    }
+
+    (pricing.seasons || [])
+      .filter((season) => inSeason(season, day))
+      .forEach((season) => {
+        multiplier *= season.multiplier;
+        appliedRules.push({
+          type: 'season',
+          label: season.name,
+          multiplier: season.multiplier,
+        });
+      });
+
+    priceSeat = Math.round(basePrice * multiplier);
+  }
+
+  // Venues may charge for a minimum number of guests regardless of turnout
+  const billableGuests = Math.max(guestCount, pricing.min_guests || 0);
+
+  const items = [
+    {
+      type: 'seats',
+      label: 'Seats',
+      quantity: billableGuests,
+      unit_price: priceSeat,
+      amount: priceSeat * billableGuests,
+    },
+  ];
+
+  [...new Set(extraNames)].forEach((name) => {
+    const extra = (pricing.extras || []).find((item) => item.name === name);
+    if (!extra) {
+      throw new AppError(`Venue has no extra named ${name}`, 400);
+    }
+
+    const quantity = extra.per_guest ? guestCount : 1;
+    items.push({
+      type: 'extra',
+      label: extra.name,
+      quantity,
+      unit_price: extra.price,
+      amount: extra.price * quantity,
+    });
+  });
+
+  const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+
+  const discount = (pricing.discounts || [])
+    .filter((rule) => guestCount >= rule.min_guests)
+    .sort((a, b) => b.percent - a.percent)[0];
+
+  if (discount) {
+    const amount = -Math.round((subtotal * discount.percent) / 100);
+    items.push({
+      type: 'discount',
+      label: discount.name,
+      quantity: 1,
+      unit_price: amount,
+      amount,
+    });
+  }
+
+  const total = items.reduce((sum, item) => sum + item.amount, 0);
+  const depositPercent = pricing.deposit_percent || 0;
+
+  return {
+    base_price_seat: basePrice,
+    price_seat: priceSeat,
+    guest_count: guestCount,
+    billable_guests: billableGuests,
+    applied_rules: appliedRules,
+    items,
+    subtotal,
+    discount_total: subtotal - total,
+    total,
+    deposit_percent: depositPercent,
+    deposit_due: Math.round((total * depositPercent) / 100),
+    calculated_at: new Date(),
+  };
+};
+
+module.exports = {
+  WEEKDAYS,
+  MONTH_DAY_PATTERN,
+  calculatePrice,
+};
@@ -0,0 +1,390 @@
+const Booking = require('../models/bookingModel');
+const Venue = require('../models/venueModel');
+const VenueRevision = require('../models/venueRevisionModel');
+const Image = require('../models/imageModel');
+const User = require('../models/userModel');
+const OwnerApplication = require('../models/ownerApplicationModel');
+const { BOOKING_STATUS } = require('./bookingStatus');
+const { VENUE_STATUS } = require('./venueStatus');
+const { OCCUPYING_STATUSES } = require('./venueStats');
+const { addDays, MS_PER_DAY } = require('./dateUtils');
+
+const BATCH_SIZE = 500;
+
+// Mongo range for an optional from/to pair, "to" included up to its end
+const rangeFilter = (field, { from, to }) => {
+  if (!from && !to) return {};
+
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lt = addDays(to, 1);
+  return { [field]: range };
+};
+
+const month = (field) => ({
+  $dateToString: { format: '%Y-%m', date: `$${field}` },
+});
+
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Run the pipeline and hand out its documents in batches, so even the
+// largest report never sits in memory as a whole
+const streamAggregate = (Model, pipeline) =>
+  Model.aggregate(pipeline).allowDiskUse(true).cursor({ batchSize: BATCH_SIZE });
+
+// Every report has a title, its columns in order and rows(range), an
+// async iterable of plain objects keyed by column key. Dates in the range
+// are UTC midnights; either end may be missing.
+const REPORTS = {
+  'bookings-by-district': {
+    title: 'Bookings per district per month',
+    description: 'Bookings by reservation month and district of the venue',
+    columns: [
+      { key: 'month', header: 'Month' },
+      { key: 'district', header: 'District' },
+      { key: 'bookings', header: 'Bookings' },
+      { key: 'held', header: 'Confirmed or held' },
+      { key: 'cancelled', header: 'Cancelled or rejected' },
+      { key: 'guests', header: 'Guests' },
+    ],
+    rows: (range) =>
+      streamAggregate(Booking, [
+        { $match: rangeFilter('reservation_date', range) },
+        {
+          $lookup: {
+            from: 'venues',
+            localField: 'venue_id',
+            foreignField: '_id',
+            as: 'venue',
+          },
+        },
+        { $unwind: '$venue' },
+        {
+          $lookup: {
+            from: 'districts',
+            localField: 'venue.district_id',
+            foreignField: '_id',
+            as: 'district',
+          },
+        },
+        {
+          $group: {
+            _id: {
+              month: month('reservation_date'),
+              district: { $ifNull: [{ $first: '$district.name' }, 'Unknown'] },
+            },
+            bookings: { $sum: 1 },
+            held: countWhere({ $in: ['$status', OCCUPYING_STATUSES] }),
+            cancelled: countWhere({
+              $in: [
+                '$status',
+                [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.REJECTED],
+              ],
+            }),
+            guests: { $sum: '$guest_count' },
+          },
+        },
+        { $sort: { '_id.month': 1, '_id.district': 1 } },
+        {
+          $project: {
+            _id: 0,
+            month: '$_id.month',
+            district: '$_id.district',
+            bookings: 1,
+            held: 1,
+            cancelled: 1,
+            guests: 1,
+          },
+        },
+      ]),
+  },
+
+  'top-venues': {
+    title: 'Top venues by bookings',
+    description: 'Venues ranked by bookings with a reservation date in range',
+    columns: [
+      { key: 'rank', header: 'Rank' },
+      { key: 'venue', header: 'Venue' },
+      { key: 'district', header: 'District' },
+      { key: 'owner', header: 'Owner' },
+      { key: 'bookings', header: 'Bookings' },
+      { key: 'held', header: 'Confirmed or held' },
+      { key: 'guests', header: 'Guests' },
+      { key: 'estimated_revenue', header: 'Estimated revenue' },
+    ],
+    rows: async function* (range) {
+      const cursor = streamAggregate(Booking, [
+        { $match: rangeFilter('reservation_date', range) },
+        {
+          $group: {
+            _id: '$venue_id',
+            bookings: { $sum: 1 },
+            held: countWhere({ $in: ['$status', OCCUPYING_STATUSES] }),
+            guests: { $sum: '$guest_count' },
+            estimated_revenue: {
+              $sum: {
+                $cond: [
+                  {
+                    $in: [
+                      '$status',
+                      [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.COMPLETED],
+                    ],
+                  },
+                  { $ifNull: ['$total_amount', 0] },
+                  0,
+                ],
+              },
+            },
+          },
+        },
+        { $sort: { bookings: -1, _id: 1 } },
+        {
+          $lookup: {
+            from: 'venues',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'venue',
+          },
+        },
+        { $unwind: '$venue' },
+        {
+          $lookup: {
+            from: 'districts',
+            localField: 'venue.district_id',
+            foreignField: '_id',
+            as: 'district',
+          },
+        },
+        {
+          $lookup: {
+            from: 'users',
+            localField: 'venue.owner_id',
+            foreignField: '_id',
+            as: 'owner',
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            venue: '$venue.name',
+            district: { $first: '$district.name' },
+            owner: { $first: '$owner.username' },
+            bookings: 1,
+            held: 1,
+            guests: 1,
+            estimated_revenue: 1,
+          },
+        },
+      ]);
+
+      let rank = 0;
+      // Close the cursor even when the reader stops early
+      try {
+        for await (const row of cursor) {
+          rank += 1;
+          yield { rank, ...row };
+        }
+      } finally {
+        await cursor.close();
+      }
+    },
+  },
+
+  'new-users': {
+    title: 'New users and owners over time',
+    description:
+      'Accounts created per month by their current role, and owner applications approved per month',
+    columns: [
+      { key: 'month', header: 'Month' },
+      { key: 'new_users', header: 'New users' },
+      { key: 'new_owners', header: 'New owner accounts' },
+      { key: 'approved_owners', header: 'Owner applications approved' },
+    ],
+    rows: (range) =>
+      streamAggregate(User, [
+        { $match: rangeFilter('createdAt', range) },
+        {
+          $project: {
+            month: month('createdAt'),
+            new_users: { $cond: [{ $eq: ['$role', 'user'] }, 1, 0] },
+            new_owners: { $cond: [{ $eq: ['$role', 'owner'] }, 1, 0] },
+            approved_owners: { $literal: 0 },
+          },
+        },
+        {
+          $unionWith: {
+            coll: OwnerApplication.collection.collectionName,
+            pipeline: [
+              {
+                $match: {
+                  status: 'approved',
+                  ...rangeFilter('reviewed_at', range),
+                },
+              },
+              {
+                $project: {
+                  month: month('reviewed_at'),
+                  new_users: { $literal: 0 },
+                  new_owners: { $literal: 0 },
+                  approved_owners: { $literal: 1 },
+                },
+              },
+            ],
+          },
+        },
+        {
+          $group: {
+            _id: '$month',
+            new_users: { $sum: '$new_users' },
+            new_owners: { $sum: '$new_owners' },
+            approved_owners: { $sum: '$approved_owners' },
+          },
+        },
+        { $sort: { _id: 1 } },
+        {
+          $project: {
+            _id: 0,
+            month: '$_id',
+            new_users: 1,
+            new_owners: 1,
+            approved_owners: 1,
+          },
+        },
+      ]),
+  },
+
+  'approval-backlog': {
+    title: 'Approval backlog',
+    description:
+      'Everything waiting for an admin, oldest first, by the date it was submitted',
+    columns: [
+      { key: 'type', header: 'Type' },
+      { key: 'id', header: 'Id' },
+      { key: 'name', header: 'Name' },
+      { key: 'submitter', header: 'Submitter' },
+      { key: 'submitted_at', header: 'Submitted at' },
+      { key: 'age_days', header: 'Age (days)' },
+    ],
+    rows: async function* (range) {
+      const now = Date.now();
+      const queues = [
+        {
+          type: 'venue',
+          Model: Venue,
+          match: { status: VENUE_STATUS.SUBMITTED },
+          name: '$name',
+          // When the venue was last (re)submitted
+          submittedAt: {
+            $let: {
+              vars: {
+                last: {
+                  $last: {
+                    $filter: {
+                      input: { $ifNull: ['$moderation_history', []] },
+                      cond: { $eq: ['$$this.to', VENUE_STATUS.SUBMITTED] },
+                    },
+                  },
+                },
+              },
+              in: { $ifNull: ['$$last.changed_at', '$createdAt'] },
+            },
+          },
+          submitterField: 'owner_id',
+        },
+        {
+          type: 'revision',
+          Model: VenueRevision,
+          match: { status: 'pending' },
+          name: {
+            $concat: ['Changes to ', { $ifNull: [{ $first: '$venue.name' }, '?'] }],
+          },
+          // Later edits are merged into the pending revision
+          submittedAt: '$updatedAt',
+          submitterField: 'submitted_by',
+          venueField: 'venue_id',
+        },
+        {
+          type: 'image',
+          Model: Image,
+          match: { status: 'pending' },
+          name: { $ifNull: [{ $first: '$venue.name' }, '?'] },
+          submittedAt: '$createdAt',
+          venueField: 'venue_id',
+        },
+        {
+          type: 'owner_application',
+          Model: OwnerApplication,
+          match: { status: 'pending' },
+          name: '$business_name',
+          submittedAt: '$createdAt',
+          submitterField: 'user_id',
+        },
+      ];
+
+      const queuePipeline = (queue) => [
+        { $match: queue.match },
+        { $addFields: { submitted_at: queue.submittedAt } },
+        { $match: rangeFilter('submitted_at', range) },
+        ...(queue.venueField
+          ? [
+              {
+                $lookup: {
+                  from: 'venues',
+                  localField: queue.venueField,
+                  foreignField: '_id',
+                  as: 'venue',
+                },
+              },
+            ]
+          : []),
+        {
+          $lookup: {
+            from: 'users',
+            localField: queue.submitterField || 'venue.owner_id',
+            foreignField: '_id',
+            as: 'submitter',
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            type: { $literal: queue.type },
+            id: { $toString: '$_id' },
+            name: queue.name,
+            submitter: { $first: '$submitter.username' },
+            submitted_at: 1,
+          },
+        },
+      ];
+
+      // One stream over all the queues, so the oldest item comes first
+      // whatever its type
+      const [first, ...rest] = queues;
+      const cursor = streamAggregate(first.Model, [
+        ...queuePipeline(first),
+        ...rest.map((queue) => ({
+          $unionWith: {
+            coll: queue.Model.collection.collectionName,
+            pipeline: queuePipeline(queue),
+          },
+        })),
+        { $sort: { submitted_at: 1 } },
+      ]);
+
+      try {
+        for await (const row of cursor) {
+          yield {
+            ...row,
+            age_days: Math.floor((now - row.submitted_at) / MS_PER_DAY),
+          };
+        }
+      } finally {
+        await cursor.close();
+      }
+    },
+  },
+};
+
+module.exports = {
+  REPORTS,
+};
@@ -0,0 +1,49 @@
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Every venue implicitly offers the whole day as a slot. Bookings made
+// before venues had named slots are migrated onto it.
+const FULL_DAY_SLOT = Object.freeze({
+  name: 'full_day',
+  start_time: '00:00',
+  end_time: '23:59',
+});
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Two slots overlap when each one starts before the other ends
+const slotsOverlap = (a, b) =>
+  toMinutes(a.start_time) < toMinutes(b.end_time) &&
+  toMinutes(b.start_time) < toMinutes(a.end_time);
+
+// Find the slot a booking refers to. Returns null if the venue has no such slot.
+const resolveSlot = (venue, slotName) => {
+  if (!slotName || slotName === FULL_DAY_SLOT.name) {
+    const custom = (venue.time_slots || []).find(
+      (slot) => slot.name === FULL_DAY_SLOT.name
+    );
+    return custom || FULL_DAY_SLOT;
+  }
+
+  return (venue.time_slots || []).find((slot) => slot.name === slotName) || null;
+};
+
+// Slots offered by a venue, always including the full-day slot
+const listSlots = (venue) => {
+  const slots = venue.time_slots || [];
+  if (slots.some((slot) => slot.name === FULL_DAY_SLOT.name)) {
+    return slots;
+  }
+  return [...slots, FULL_DAY_SLOT];
+};
+
+module.exports = {
+  TIME_PATTERN,
+  FULL_DAY_SLOT,
+  toMinutes,
+  slotsOverlap,
+  resolveSlot,
+  listSlots,
+};
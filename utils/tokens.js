@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/userModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const AppError = require('./appError');
+
+const DEFAULT_REFRESH_TTL_DAYS = 30;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT. `tv` ties it to the user's token_version so it stops
+// working once the password or role changes or the user logs out everywhere.
+// The old long-lived JWT_EXPIRES_IN is deliberately not read.
+const generateAccessToken = (user) =>
+  jwt.sign({ id: user._id, tv: user.token_version }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+  });
+
+const issueRefreshToken = async (user, req, family) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const ttlDays = Number(
+    process.env.REFRESH_TOKEN_TTL_DAYS || DEFAULT_REFRESH_TTL_DAYS
+  );
+
+  await RefreshToken.create({
+    user_id: user._id,
+    token_hash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    token_version: user.token_version,
+    expires_at: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    created_by_ip: req.ip,
+    user_agent: req.get('user-agent'),
+  });
+
+  return token;
+};
+
+// Access and refresh token pair for a fresh login
+const issueAuthTokens = async (user, req) => ({
+  token: generateAccessToken(user),
+  refresh_token: await issueRefreshToken(user, req),
+});
+
+// Exchange a refresh token for a new pair. A token can be used once;
+// presenting an already rotated token revokes its whole family.
+const rotateRefreshToken = async (token, req) => {
+  const tokenHash = hashToken(token);
+
+  // Claim the token atomically so concurrent requests cannot both use it
+  const stored = await RefreshToken.findOneAndUpdate(
+    {
+      token_hash: tokenHash,
+      revoked_at: { $exists: false },
+      expires_at: { $gt: new Date() },
+    },
+    { revoked_at: new Date() }
+  );
+
+  if (!stored) {
+    const reused = await RefreshToken.findOne({
+      token_hash: tokenHash,
+      revoked_at: { $exists: true },
+    });
+    if (reused) {
+      await RefreshToken.updateMany(
+        { family: reused.family, revoked_at: { $exists: false } },
+        { revoked_at: new Date() }
+      );
+    }
+    throw new AppError('Invalid refresh token. Please log in again.', 401);
+  }
+
+  const user = await User.findById(stored.user_id);
+  if (!user || user.token_version !== stored.token_version) {
+    throw new AppError('Invalid refresh token. Please log in again.', 401);
+  }
+
+  const refreshToken = await issueRefreshToken(user, req, stored.family);
+  await RefreshToken.updateOne(
+    { _id: stored._id },
+    { replaced_by: hashToken(refreshToken) }
+  );
+
+  return {
+    user,
+    token: generateAccessToken(user),
+    refresh_token: refreshToken,
+  };
+};
+
+const revokeRefreshToken = (token) =>
+  RefreshToken.updateOne(
+    { token_hash: hashToken(token), revoked_at: { $exists: false } },
+    { revoked_at: new Date() }
+  );
+
+const revokeAllRefreshTokens = (userId) =>
+  RefreshToken.updateMany(
+    { user_id: userId, revoked_at: { $exists: false } },
+    { revoked_at: new Date() }
+  );
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+};
@@ -0,0 +1,179 @@
+const Booking = require('../models/bookingModel');
+const { BOOKING_STATUS } = require('./bookingStatus');
+const { WEEKDAYS } = require('./pricing');
+const { addDays, MS_PER_DAY } = require('./dateUtils');
+
+// Bookings that held the hall on their date
+const OCCUPYING_STATUSES = [
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.COMPLETED,
+  BOOKING_STATUS.NO_SHOW,
+];
+
+// Bookings expected to bring in money
+const EARNING_STATUSES = [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.COMPLETED];
+
+const round = (value, digits = 2) =>
+  Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Totals shared by every breakdown
+const totals = {
+  bookings: { $sum: 1 },
+  guests: { $sum: '$guest_count' },
+  revenue: { $sum: '$estimated_revenue' },
+};
+
+const formatBucket = ({ bookings, guests, revenue }) => ({
+  bookings,
+  average_guest_count: bookings ? round(guests / bookings) : 0,
+  estimated_revenue: revenue,
+});
+
+// Aggregate bookings of the venues between two days (both included) into
+// occupancy, guest counts, estimated revenue and weekday/month breakdowns.
+// Revenue is guest_count times the seat price agreed at booking time, or
+// the venue's current price for bookings made before prices were recorded.
+const buildVenueStats = async (venueIds, from, to) => {
+  const end = addDays(to, 1);
+  const days = Math.round((end - from) / MS_PER_DAY);
+  const occupying = { $match: { status: { $in: OCCUPYING_STATUSES } } };
+
+  const [result] = await Booking.aggregate([
+    {
+      $match: {
+        venue_id: { $in: venueIds },
+        reservation_date: { $gte: from, $lt: end },
+      },
+    },
+    {
+      $lookup: {
+        from: 'venues',
+        let: { venueId: '$venue_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$venueId'] } } },
+          { $project: { price_seat: 1 } },
+        ],
+        as: 'venue',
+      },
+    },
+    {
+      $addFields: {
+        day: {
+          $dateToString: { format: '%Y-%m-%d', date: '$reservation_date' },
+        },
+        estimated_revenue: {
+          $cond: [
+            { $in: ['$status', EARNING_STATUSES] },
+            {
+              $multiply: [
+                '$guest_count',
+                {
+                  $ifNull: [
+                    '$price_snapshot.price_seat',
+                    { $arrayElemAt: ['$venue.price_seat', 0] },
+                  ],
+                },
+              ],
+            },
+            0,
+          ],
+        },
+      },
+    },
+    {
+      $facet: {
+        by_status: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        overall: [occupying, { $group: { _id: null, ...totals } }],
+        // One entry per venue and day the venue was held
+        booked_days: [
+          occupying,
+          { $group: { _id: { venue: '$venue_id', day: '$day' } } },
+          { $group: { _id: '$_id.venue', days: { $sum: 1 } } },
+        ],
+        by_venue: [occupying, { $group: { _id: '$venue_id', ...totals } }],
+        by_weekday: [
+          occupying,
+          { $group: { _id: { $dayOfWeek: '$reservation_date' }, ...totals } },
+        ],
+        by_month: [
+          occupying,
+          {
+            $group: {
+              _id: {
+                $dateToString: { format: '%Y-%m', date: '$reservation_date' },
+              },
+              ...totals,
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const overall = result.overall[0] || { bookings: 0, guests: 0, revenue: 0 };
+  const bookedDaysByVenue = new Map(
+    result.booked_days.map((entry) => [String(entry._id), entry.days])
+  );
+  const bookedDays = result.booked_days.reduce(
+    (sum, entry) => sum + entry.days,
+    0
+  );
+  const venueDays = days * venueIds.length;
+
+  // $dayOfWeek counts from 1 = Sunday, like WEEKDAYS from 0
+  const weekdays = new Map(
+    result.by_weekday.map((entry) => [entry._id - 1, entry])
+  );
+  const venues = new Map(
+    result.by_venue.map((entry) => [String(entry._id), entry])
+  );
+
+  return {
+    from: from.toISOString().slice(0, 10),
+    to: to.toISOString().slice(0, 10),
+    days,
+    // Every booking request in the range, whatever became of it
+    requests: {
+      total: result.by_status.reduce((sum, entry) => sum + entry.count, 0),
+      by_status: Object.fromEntries(
+        Object.values(BOOKING_STATUS).map((status) => [
+          status,
+          (result.by_status.find((entry) => entry._id === status) || {})
+            .count || 0,
+        ])
+      ),
+    },
+    booked_days: bookedDays,
+    free_days: venueDays - bookedDays,
+    occupancy_rate: venueDays ? round(bookedDays / venueDays, 4) : 0,
+    ...formatBucket(overall),
+    by_weekday: WEEKDAYS.map((weekday, index) => ({
+      weekday,
+      ...formatBucket(
+        weekdays.get(index) || { bookings: 0, guests: 0, revenue: 0 }
+      ),
+    })),
+    by_month: result.by_month.map((entry) => ({
+      month: entry._id,
+      ...formatBucket(entry),
+    })),
+    by_venue: venueIds.map((venueId) => {
+      const bookedDaysOfVenue = bookedDaysByVenue.get(String(venueId)) || 0;
+      return {
+        venue_id: venueId,
+        booked_days: bookedDaysOfVenue,
+        free_days: days - bookedDaysOfVenue,
+        occupancy_rate: days ? round(bookedDaysOfVenue / days, 4) : 0,
+        ...formatBucket(
+          venues.get(String(venueId)) || { bookings: 0, guests: 0, revenue: 0 }
+        ),
+      };
+    }),
+  };
+};
+
+module.exports = {
+  OCCUPYING_STATUSES,
+  buildVenueStats,
+};
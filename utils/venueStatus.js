@@ -0,0 +1,61 @@
+const AppError = require('./appError');
+
+// Stored values are the Uzbek labels the app has always used
+const VENUE_STATUS = Object.freeze({
+  SUBMITTED: 'tasdiqlanmagan',
+  APPROVED: 'tasdiqlangan',
+  REJECTED: 'rad_etilgan',
+  CHANGES_REQUESTED: 'tuzatish_kerak',
+});
+
+// Moderation moves allowed from each status. Admins review, owners resubmit.
+const TRANSITIONS = {
+  [VENUE_STATUS.SUBMITTED]: [
+    VENUE_STATUS.APPROVED,
+    VENUE_STATUS.REJECTED,
+    VENUE_STATUS.CHANGES_REQUESTED,
+  ],
+  [VENUE_STATUS.APPROVED]: [
+    VENUE_STATUS.REJECTED,
+    VENUE_STATUS.CHANGES_REQUESTED,
+  ],
+  [VENUE_STATUS.REJECTED]: [VENUE_STATUS.SUBMITTED],
+  [VENUE_STATUS.CHANGES_REQUESTED]: [VENUE_STATUS.SUBMITTED],
+};
+
+// Moves that must say why
+const REASON_REQUIRED = [
+  VENUE_STATUS.REJECTED,
+  VENUE_STATUS.CHANGES_REQUESTED,
+];
+
+// Editing these on an approved venue needs an admin to review the change
+const REVIEWED_FIELDS = [
+  'name',
+  'district_id',
+  'address',
+  'capacity',
+  'phone_number',
+];
+
+// Throw an AppError unless a venue may move from one status to the other
+const assertVenueTransition = (from, to, reason) => {
+  if (from === to) {
+    throw new AppError(`Venue is already ${to}`, 400);
+  }
+
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    throw new AppError(`Cannot change venue status from ${from} to ${to}`, 400);
+  }
+
+  if (REASON_REQUIRED.includes(to) && !reason) {
+    throw new AppError('A reason is required', 400);
+  }
+};
+
+module.exports = {
+  VENUE_STATUS,
+  TRANSITIONS,
+  REVIEWED_FIELDS,
+  assertVenueTransition,
+};